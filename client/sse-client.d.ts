@@ -0,0 +1,153 @@
+/**
+ * Types for sse-client.js
+ * Action payloads mirror the JSON schemas in src/schemas
+ */
+
+export type ConnectionState = 'idle' | 'connecting' | 'connected' | 'reconnecting' | 'closed';
+
+export interface ActionPayloads {
+  alert: {
+    severity: 'info' | 'warning' | 'error' | 'critical';
+    message: string;
+    alertId?: string;
+    requiresAck?: boolean;
+  };
+  inventory: {
+    sku: string;
+    quantity: number;
+    status: 'in-stock' | 'low-stock' | 'out-of-stock';
+    location?: string;
+    lastUpdated?: string;
+  };
+  notification: {
+    title: string;
+    message: string;
+    priority?: 'low' | 'medium' | 'high';
+    notificationId?: string;
+  };
+  payment: {
+    transactionId: string;
+    amount: string | number;
+    paymentMethod: 'credit' | 'debit' | 'cash' | 'mobile';
+    status: 'pending' | 'processing' | 'approved' | 'declined';
+    cardLast4?: string;
+  };
+  receipt: {
+    transactionId: string;
+    amount: string | number;
+    receiptNumber: string;
+    items?: number;
+    printRequired?: boolean;
+  };
+  signature: {
+    transactionId: string;
+    amount: string | number;
+    message?: string;
+    timeout?: number;
+    requiresAck?: boolean;
+  };
+  status: {
+    deviceId: string;
+    status: 'online' | 'offline' | 'busy' | 'maintenance';
+    uptime?: number;
+    temperature?: string | number;
+    memoryUsage?: number;
+  };
+}
+
+export type Action = keyof ActionPayloads;
+
+export interface ServerEvent<A extends string = string, D = unknown> {
+  action: A;
+  eventId: string;
+  timestamp: string;
+  requiresAck?: boolean;
+  data: D;
+  [field: string]: unknown;
+}
+
+export type ActionEvent<A extends Action> = ServerEvent<A, ActionPayloads[A]>;
+
+export interface Filters {
+  actions?: Action[] | string[];
+  minSeverity?: ActionPayloads['alert']['severity'];
+}
+
+export interface SseClientOptions {
+  baseUrl: string;
+  clientName: string;
+  groups?: string[];
+  filters?: Filters | null;
+  initialDelayMs?: number;
+  maxDelayMs?: number;
+  heartbeatTimeoutMs?: number;
+  autoAck?: boolean;
+  /** Provisioning key for this clientName, sent as X-Device-Key on registration */
+  deviceKey?: string;
+  /** Skip registration and use this token */
+  token?: string;
+  /** Resume from this event on the first connect */
+  lastEventId?: string;
+  fetch?: typeof fetch;
+}
+
+export interface ConnectedInfo {
+  type: 'connected';
+  clientName: string;
+  podName: string;
+  sessionId: string;
+  filters: Filters | null;
+  timestamp: string;
+  [field: string]: unknown;
+}
+
+export interface LifecycleEvents {
+  state: { state: ConnectionState; previous: ConnectionState; podName?: string; attempt?: number; delayMs?: number };
+  connected: ConnectedInfo;
+  heartbeat: { comment: string };
+  'heartbeat-timeout': { timeoutMs: number };
+  reconnect: { type: 'reconnect'; reason: string; retryMs: number; clientName: string; timestamp: string };
+  'token-expired': { type: 'token-expired'; clientName: string; timestamp: string };
+  event: ServerEvent;
+  ack: { success: true; acknowledged: string[]; unknown: string[] };
+  error: Error;
+}
+
+export type Handler<E> = (event: E, client: SseClient) => void | Promise<void>;
+
+export class SseClientError extends Error {
+  status: number;
+  retryAfterMs?: number;
+}
+
+export class SseClient {
+  constructor(options: SseClientOptions);
+
+  readonly state: ConnectionState;
+  readonly sessionId: string | null;
+  readonly podName: string | null;
+  readonly lastEventId: string | null;
+
+  on<K extends keyof LifecycleEvents>(name: K, listener: (payload: LifecycleEvents[K]) => void): () => void;
+  off<K extends keyof LifecycleEvents>(name: K, listener: (payload: LifecycleEvents[K]) => void): void;
+
+  handle<A extends Action>(action: A, handler: Handler<ActionEvent<A>>): () => void;
+  handle(action: '*' | string, handler: Handler<ServerEvent>): () => void;
+
+  connect(): void;
+  close(): void;
+
+  ack(eventIds: string | string[]): Promise<{ success: true; acknowledged: string[]; unknown: string[] }>;
+  send(message: { type: string; eventId?: string; data: unknown }): Promise<{ success: true; messageId: string; subscribers: number }>;
+  setFilters(filters: Filters | null): Promise<{ success: true; filters: Filters | null } | null>;
+}
+
+export class SseParser {
+  constructor(
+    onEvent: (message: { event: string; data: string; id: string | null; retry: number | null }) => void,
+    onComment: (comment: string) => void
+  );
+  push(chunk: string): void;
+}
+
+export const STATES: ConnectionState[];
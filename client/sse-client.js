@@ -0,0 +1,520 @@
+/**
+ * SSE Client SDK
+ * Browser and Node (18+) client for the SSE service
+ *   - registers (POST /register) and opens GET /events/:clientName
+ *   - reconnects with jittered exponential backoff and resumes from the last event id
+ *   - dispatches events to handlers per action (payment, signature, alert, ...)
+ *   - reports connection state, including a heartbeat timeout for silent streams
+ *
+ *   const client = new SseClient({ baseUrl: 'https://sse.example.com', clientName: 'STORE001-LANE01' });
+ *   client.handle('payment', async (event) => { ... });
+ *   client.on('state', ({ state }) => console.log(state));
+ *   client.connect();
+ *
+ * The stream is read with fetch rather than EventSource so the token can go in a
+ * header, Last-Event-ID can be set on reconnect and heartbeat comments are visible.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SseRedisClient = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // idle -> connecting -> connected -> reconnecting -> connected ... -> closed
+  const STATES = ['idle', 'connecting', 'connected', 'reconnecting', 'closed'];
+
+  const DEFAULTS = {
+    groups: [],
+    // { actions: ['payment'], minSeverity: 'warning' }
+    filters: null,
+    initialDelayMs: 1000,
+    maxDelayMs: 30000,
+    // The server sends a heartbeat comment every 30s
+    heartbeatTimeoutMs: 75000,
+    // Acknowledge requiresAck events once every handler for them resolved
+    autoAck: true
+  };
+
+  /**
+   * Incremental text/event-stream parser
+   * onEvent({ event, data, id, retry }) per dispatched event, onComment(text) per comment line
+   */
+  class SseParser {
+    constructor(onEvent, onComment) {
+      this.onEvent = onEvent;
+      this.onComment = onComment;
+      this.buffer = '';
+      this.reset();
+    }
+
+    reset() {
+      this.eventName = '';
+      this.data = [];
+      this.id = null;
+      this.retry = null;
+    }
+
+    push(chunk) {
+      this.buffer += chunk;
+      const lines = this.buffer.split(/\r\n|\r|\n/);
+      // The last piece is an incomplete line until the next chunk
+      this.buffer = lines.pop();
+      for (const line of lines) {
+        this.parseLine(line);
+      }
+    }
+
+    parseLine(line) {
+      if (line === '') {
+        this.dispatch();
+        return;
+      }
+
+      if (line[0] === ':') {
+        this.onComment(line.slice(1).trim());
+        return;
+      }
+
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      let value = separator === -1 ? '' : line.slice(separator + 1);
+      if (value[0] === ' ') {
+        value = value.slice(1);
+      }
+
+      if (field === 'event') {
+        this.eventName = value;
+      } else if (field === 'data') {
+        this.data.push(value);
+      } else if (field === 'id' && !value.includes('\0')) {
+        this.id = value;
+      } else if (field === 'retry' && /^\d+$/.test(value)) {
+        this.retry = parseInt(value, 10);
+      }
+    }
+
+    dispatch() {
+      const message = {
+        event: this.eventName || 'message',
+        data: this.data.join('\n'),
+        id: this.id,
+        retry: this.retry
+      };
+      const hasData = this.data.length > 0;
+      this.reset();
+
+      if (hasData || message.retry !== null) {
+        this.onEvent(message);
+      }
+    }
+  }
+
+  class SseClientError extends Error {
+    constructor(message, status, retryAfterMs) {
+      super(message);
+      this.name = 'SseClientError';
+      this.status = status;
+      this.retryAfterMs = retryAfterMs;
+    }
+  }
+
+  /**
+   * options - baseUrl and clientName (required), plus anything in DEFAULTS,
+   * deviceKey (provisioning key sent on registration), token (skip registration),
+   * lastEventId (resume point) and fetch (custom implementation)
+   */
+  class SseClient {
+    constructor(options) {
+      if (!options || !options.baseUrl || !options.clientName) {
+        throw new Error('baseUrl and clientName are required');
+      }
+
+      this.options = Object.assign({}, DEFAULTS, options);
+      this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+      this.clientName = options.clientName;
+      this.fetch = options.fetch || globalThis.fetch.bind(globalThis);
+
+      this.state = 'idle';
+      this.token = options.token || null;
+      this.tokenExpiresAt = null;
+      this.sessionId = null;
+      this.podName = null;
+      this.lastEventId = options.lastEventId || null;
+      this.attempts = 0;
+      // Server hints: retry: field and the delay from a drain hand-off
+      this.retryMs = null;
+      this.handOffDelayMs = null;
+
+      this.listeners = {};
+      this.handlers = {};
+      this.controller = null;
+      this.closedByUser = false;
+      this.reconnectTimer = null;
+      this.heartbeatTimer = null;
+      this.refreshTimer = null;
+    }
+
+    /**
+     * Lifecycle events: state, connected, heartbeat, heartbeat-timeout,
+     * reconnect (server hand-off), token-expired, event (every action), ack, error
+     * Returns a function that removes the listener
+     */
+    on(name, listener) {
+      (this.listeners[name] = this.listeners[name] || []).push(listener);
+      return () => this.off(name, listener);
+    }
+
+    off(name, listener) {
+      this.listeners[name] = (this.listeners[name] || []).filter((candidate) => candidate !== listener);
+    }
+
+    emit(name, payload) {
+      for (const listener of (this.listeners[name] || []).slice()) {
+        try {
+          listener(payload);
+        } catch (err) {
+          if (name !== 'error') {
+            this.emit('error', err);
+          }
+        }
+      }
+    }
+
+    /**
+     * Handle events of one action ('*' for every action); handlers may be async
+     * Returns a function that removes the handler
+     */
+    handle(action, handler) {
+      (this.handlers[action] = this.handlers[action] || []).push(handler);
+      return () => {
+        this.handlers[action] = this.handlers[action].filter((candidate) => candidate !== handler);
+      };
+    }
+
+    setState(state, detail) {
+      if (state === this.state) {
+        return;
+      }
+      const previous = this.state;
+      this.state = state;
+      this.emit('state', Object.assign({ state, previous }, detail));
+    }
+
+    connect() {
+      if (this.state !== 'idle' && this.state !== 'closed') {
+        return;
+      }
+      this.closedByUser = false;
+      this.attempts = 0;
+      this.open();
+    }
+
+    close() {
+      this.closedByUser = true;
+      clearTimeout(this.reconnectTimer);
+      clearTimeout(this.heartbeatTimer);
+      clearTimeout(this.refreshTimer);
+      if (this.controller) {
+        this.controller.abort();
+        this.controller = null;
+      }
+      this.sessionId = null;
+      this.setState('closed');
+    }
+
+    async open() {
+      if (this.state !== 'reconnecting') {
+        this.setState('connecting');
+      }
+
+      const controller = new AbortController();
+      this.controller = controller;
+
+      try {
+        if (!this.token) {
+          await this.register();
+        }
+
+        const response = await this.fetch(this.streamUrl(), {
+          headers: this.streamHeaders(),
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          throw await this.toError(response, 'Stream request failed');
+        }
+
+        await this.readStream(response, controller);
+        this.scheduleReconnect();
+      } catch (err) {
+        if (this.closedByUser || this.controller !== controller) {
+          return;
+        }
+
+        // Heartbeat timeouts abort the request themselves and are already reported
+        if (!controller.signal.aborted) {
+          this.emit('error', err);
+        }
+
+        if (err.status === 400) {
+          this.close(); // Bad filters - retrying cannot help
+          return;
+        }
+        if (err.status === 401 || err.status === 403) {
+          this.token = null; // Register again on the next attempt
+        }
+        this.scheduleReconnect(err.retryAfterMs);
+      }
+    }
+
+    async register() {
+      const body = await this.request('POST', '/register', {
+        clientName: this.clientName,
+        groups: this.options.groups
+      }, false, false, this.options.deviceKey ? { 'X-Device-Key': this.options.deviceKey } : {});
+
+      this.token = body.token;
+      this.tokenExpiresAt = Date.parse(body.expiresAt);
+      this.scheduleTokenRefresh();
+    }
+
+    /**
+     * Swap the token for a fresh one at 80% of its lifetime so the stream stays open
+     */
+    scheduleTokenRefresh() {
+      clearTimeout(this.refreshTimer);
+      if (!this.tokenExpiresAt) {
+        return;
+      }
+
+      const delay = Math.max((this.tokenExpiresAt - Date.now()) * 0.8, 1000);
+      this.refreshTimer = setTimeout(() => {
+        this.request('POST', `/events/${encodeURIComponent(this.clientName)}/token`)
+          .then((body) => {
+            this.token = body.token;
+            this.tokenExpiresAt = Date.parse(body.expiresAt);
+            this.scheduleTokenRefresh();
+          })
+          .catch((err) => this.emit('error', err));
+      }, delay);
+    }
+
+    streamUrl() {
+      const params = [];
+      const filters = this.options.filters;
+      if (filters && filters.actions && filters.actions.length > 0) {
+        params.push(`actions=${encodeURIComponent([].concat(filters.actions).join(','))}`);
+      }
+      if (filters && filters.minSeverity) {
+        params.push(`minSeverity=${encodeURIComponent(filters.minSeverity)}`);
+      }
+      const query = params.length > 0 ? `?${params.join('&')}` : '';
+      return `${this.baseUrl}/events/${encodeURIComponent(this.clientName)}${query}`;
+    }
+
+    streamHeaders() {
+      const headers = {
+        Accept: 'text/event-stream',
+        Authorization: `Bearer ${this.token}`
+      };
+      if (this.lastEventId) {
+        headers['Last-Event-ID'] = this.lastEventId;
+      }
+      return headers;
+    }
+
+    async readStream(response, controller) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      const parser = new SseParser(
+        (message) => this.dispatch(message),
+        (comment) => this.emit('heartbeat', { comment })
+      );
+
+      this.armHeartbeat(controller);
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+          break;
+        }
+        this.armHeartbeat(controller);
+        parser.push(decoder.decode(value, { stream: true }));
+      }
+      clearTimeout(this.heartbeatTimer);
+    }
+
+    /**
+     * Any bytes (events or heartbeat comments) prove the stream is alive
+     */
+    armHeartbeat(controller) {
+      clearTimeout(this.heartbeatTimer);
+      this.heartbeatTimer = setTimeout(() => {
+        this.emit('heartbeat-timeout', { timeoutMs: this.options.heartbeatTimeoutMs });
+        controller.abort();
+      }, this.options.heartbeatTimeoutMs);
+    }
+
+    dispatch(message) {
+      // A hand-off's retry is a one-off, jittered delay - see below
+      if (message.retry !== null && message.event !== 'reconnect') {
+        this.retryMs = message.retry;
+      }
+      if (message.id) {
+        this.lastEventId = message.id;
+      }
+      if (!message.data) {
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(message.data);
+      } catch (err) {
+        payload = message.data;
+      }
+
+      if (message.event === 'connected') {
+        this.attempts = 0;
+        this.sessionId = payload.sessionId;
+        this.podName = payload.podName;
+        this.setState('connected', { podName: payload.podName });
+        this.emit('connected', payload);
+        return;
+      }
+
+      if (message.event === 'reconnect') {
+        // The pod is draining and closes the stream next
+        this.handOffDelayMs = payload.retryMs || message.retry;
+        this.emit('reconnect', payload);
+        return;
+      }
+
+      if (message.event === 'token-expired') {
+        this.token = null;
+        this.emit('token-expired', payload);
+        return;
+      }
+
+      this.emit('event', payload);
+      this.runHandlers(message.event, payload);
+    }
+
+    runHandlers(action, event) {
+      const handlers = (this.handlers[action] || []).concat(this.handlers['*'] || []);
+      if (handlers.length === 0) {
+        return;
+      }
+
+      Promise.all(handlers.map((handler) => Promise.resolve().then(() => handler(event, this))))
+        .then(() => {
+          const needsAck = event.requiresAck || (event.data && event.data.requiresAck);
+          if (this.options.autoAck && needsAck && event.eventId) {
+            return this.ack(event.eventId);
+          }
+          return null;
+        })
+        .catch((err) => this.emit('error', err));
+    }
+
+    scheduleReconnect(retryAfterMs) {
+      clearTimeout(this.heartbeatTimer);
+      if (this.closedByUser) {
+        return;
+      }
+
+      this.sessionId = null;
+      this.attempts++;
+      const delay = retryAfterMs || this.reconnectDelay();
+      this.setState('reconnecting', { attempt: this.attempts, delayMs: delay });
+      this.reconnectTimer = setTimeout(() => this.open(), delay);
+    }
+
+    /**
+     * Exponential backoff from the server's retry hint (or initialDelayMs), capped
+     * at maxDelayMs, with jitter over the upper half so clients do not reconnect in step
+     */
+    reconnectDelay() {
+      if (this.handOffDelayMs) {
+        const delay = this.handOffDelayMs;
+        this.handOffDelayMs = null;
+        return delay; // Already jittered by the server
+      }
+
+      const base = Math.max(this.retryMs || 0, this.options.initialDelayMs);
+      const capped = Math.min(base * 2 ** Math.min(this.attempts - 1, 16), this.options.maxDelayMs);
+      return Math.round(capped / 2 + Math.random() * (capped / 2));
+    }
+
+    /**
+     * Acknowledge requiresAck events (done automatically with autoAck)
+     */
+    async ack(eventIds) {
+      const ids = [].concat(eventIds);
+      const result = await this.request('POST', `/events/${encodeURIComponent(this.clientName)}/ack`, { eventIds: ids }, true, true);
+      this.emit('ack', result);
+      return result;
+    }
+
+    /**
+     * Upstream message to the backend: { type, eventId?, data }
+     */
+    send(message) {
+      return this.request('POST', `/events/${encodeURIComponent(this.clientName)}/messages`, message, true, true);
+    }
+
+    /**
+     * Change filters on the open stream; they also apply to every reconnect
+     */
+    async setFilters(filters) {
+      this.options.filters = filters;
+      if (!this.sessionId) {
+        return null;
+      }
+      return this.request('PUT', `/events/${encodeURIComponent(this.clientName)}/filters`, filters || {}, true, true);
+    }
+
+    async request(method, path, body, withToken = true, withSession = false, extraHeaders = {}) {
+      if (withSession && !this.sessionId) {
+        throw new SseClientError('No open stream', 0);
+      }
+
+      const headers = Object.assign({ 'Content-Type': 'application/json' }, extraHeaders);
+      if (withToken && this.token) {
+        headers.Authorization = `Bearer ${this.token}`;
+      }
+      if (withSession) {
+        headers['X-Session-Id'] = this.sessionId;
+      }
+
+      const response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      if (!response.ok) {
+        throw await this.toError(response, `${method} ${path} failed`);
+      }
+      return response.json();
+    }
+
+    async toError(response, fallback) {
+      let body = {};
+      try {
+        body = await response.json();
+      } catch (err) {
+        // Not JSON - keep the fallback message
+      }
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+      return new SseClientError(
+        `${body.error || fallback} (${response.status})`,
+        response.status,
+        retryAfter > 0 ? retryAfter * 1000 : undefined
+      );
+    }
+  }
+
+  return { SseClient, SseParser, SseClientError, STATES };
+}));
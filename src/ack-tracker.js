@@ -0,0 +1,263 @@
+/**
+ * Ack Tracker
+ * Redelivers requiresAck events on a backoff schedule until the client
+ * acknowledges them, and reports the outcome on a Redis results channel
+ *
+ * Everything lives in Redis - the pending events per client and one sorted
+ * set of due times that every pod sweeps - so acks, redeliveries and expiry
+ * keep working when the client moves or the delivering pod goes away.
+ * A redelivery is sent by whichever pod holds the client at that moment.
+ */
+
+const connectionRegistry = require('./connection-registry');
+const { createLogger } = require('./logger');
+
+const POD_NAME = process.env.POD_NAME || 'local-pod';
+const log = createLogger('ACK');
+
+// A claimed entry comes due again after this long, so a pod that dies
+// while handling it only delays it
+const CLAIM_LEASE_MS = 30000;
+const SWEEP_BATCH = 100;
+
+// Take due entries and push them back by the lease, so no other pod handles them meanwhile
+const CLAIM_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[3])
+for i = 1, #due do
+  redis.call('ZADD', KEYS[1], ARGV[2], due[i])
+end
+return due
+`;
+
+function requiresAck(event) {
+  return Boolean(event.requiresAck || (event.data && event.data.requiresAck));
+}
+
+// Seconds the sender is willing to wait, e.g. the signature prompt timeout
+function ackTimeoutSeconds(event) {
+  return (event.data && parseInt(event.data.timeout)) || parseInt(event.timeout) || null;
+}
+
+class AckTracker {
+  /**
+   * options.presence - ClusterPresence, to find the pods holding a client
+   * options.sendControl - (command) => Promise, control channel to those pods
+   */
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.presence = options.presence || null;
+    this.sendControl = options.sendControl || null;
+    this.resultsChannel = options.resultsChannel || 'event-results';
+    this.maxDeliveries = options.maxDeliveries || 4;
+    this.retryBaseMs = options.retryBaseMs || 5000;
+    this.retryMaxMs = options.retryMaxMs || 60000;
+    this.defaultTimeoutSeconds = options.defaultTimeoutSeconds || 120;
+    this.sweepIntervalMs = options.sweepIntervalMs || 1000;
+    this.keyPrefix = options.keyPrefix || 'sse:acks';
+    this.sweepTimer = null;
+    this.sweeping = false;
+
+    this.redis.defineCommand('claimDueAcks', {
+      numberOfKeys: 1,
+      lua: CLAIM_SCRIPT
+    });
+  }
+
+  key(clientName) {
+    return `${this.keyPrefix}:{${clientName}}`;
+  }
+
+  dueKey() {
+    return `${this.keyPrefix}:due`;
+  }
+
+  member(clientName, eventId) {
+    return JSON.stringify([clientName, eventId]);
+  }
+
+  // 5s, 10s, 20s ... capped
+  retryDelay(deliveries) {
+    return Math.min(this.retryBaseMs * Math.pow(2, deliveries - 1), this.retryMaxMs);
+  }
+
+  /**
+   * Start tracking an event that was just delivered
+   * Replays of an event that is already pending do not restart the schedule
+   */
+  async track(event) {
+    if (!requiresAck(event)) {
+      return false;
+    }
+
+    const { clientName, eventId } = event;
+    const timeoutSeconds = ackTimeoutSeconds(event) || this.defaultTimeoutSeconds;
+    const pending = {
+      event,
+      deliveries: 1,
+      deadline: Date.now() + timeoutSeconds * 1000
+    };
+
+    const created = await this.redis.hsetnx(this.key(clientName), eventId, JSON.stringify(pending));
+    if (!created) {
+      return false;
+    }
+
+    // Outlives the deadline - the sweep removes entries and reports their expiry
+    await this.redis.expire(this.key(clientName), timeoutSeconds + 3600);
+    await this.redis.zadd(this.dueKey(), Date.now() + this.retryDelay(1), this.member(clientName, eventId));
+    log.info('Awaiting ack', { clientName, eventId, timeoutSeconds });
+    return true;
+  }
+
+  start() {
+    if (this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch((err) => {
+        log.error('Ack sweep failed', { error: err.message });
+      });
+    }, this.sweepIntervalMs);
+    // Pending acks must not keep the process alive on shutdown
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Claim the entries that are due (on any pod's behalf) and handle them
+   */
+  async sweep() {
+    if (this.sweeping) {
+      return;
+    }
+
+    this.sweeping = true;
+    try {
+      const now = Date.now();
+      const members = await this.redis.claimDueAcks(this.dueKey(), now, now + CLAIM_LEASE_MS, SWEEP_BATCH);
+
+      for (const member of members) {
+        const [clientName, eventId] = JSON.parse(member);
+        await this.checkPending(clientName, eventId, member).catch((err) => {
+          log.error('Failed to check pending ack', { clientName, eventId, error: err.message });
+        });
+      }
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Entry came due - redeliver, or give up once the deadline or delivery limit is hit
+   */
+  async checkPending(clientName, eventId, member) {
+    const key = this.key(clientName);
+    const raw = await this.redis.hget(key, eventId);
+
+    if (!raw) {
+      await this.redis.zrem(this.dueKey(), member); // Acked (possibly on another pod)
+      return;
+    }
+
+    const pending = JSON.parse(raw);
+
+    if (Date.now() >= pending.deadline || pending.deliveries >= this.maxDeliveries) {
+      const removed = await this.redis.hdel(key, eventId);
+      await this.redis.zrem(this.dueKey(), member);
+      if (removed) {
+        log.warn('Ack expired', { clientName, eventId, deliveries: pending.deliveries });
+        await this.publishResult('expired', pending.event, { deliveries: pending.deliveries });
+      }
+      return;
+    }
+
+    // Offline clients get no delivery attempt; the deadline still applies
+    if (await this.redeliver(clientName, pending)) {
+      pending.deliveries++;
+      await this.redis.hset(key, eventId, JSON.stringify(pending));
+    }
+
+    await this.redis.zadd(this.dueKey(), 'XX', Date.now() + this.retryDelay(pending.deliveries), member);
+  }
+
+  /**
+   * Send the event again from the pod(s) holding the client
+   * Returns false when no pod holds it
+   */
+  async redeliver(clientName, pending) {
+    const { event } = pending;
+    const delivery = pending.deliveries + 1;
+
+    if (connectionRegistry.has(clientName)) {
+      log.info('Redelivering event', { clientName, eventId: event.eventId, delivery, maxDeliveries: this.maxDeliveries });
+      connectionRegistry.sendEvent(clientName, event, { redelivery: true });
+      return true;
+    }
+
+    const pods = this.presence ? await this.presence.getPods(clientName) : [];
+    if (pods.length === 0 || !this.sendControl) {
+      log.debug('Client offline, skipping redelivery', { clientName, eventId: event.eventId, delivery });
+      return false;
+    }
+
+    log.info('Redelivering event via its pod', { clientName, eventId: event.eventId, delivery, pods });
+    await this.sendControl({ type: 'redeliver', clientName, event });
+    return true;
+  }
+
+  /**
+   * Acknowledge events for a client
+   * Returns { acknowledged, unknown } lists of eventIds
+   */
+  async acknowledge(clientName, eventIds) {
+    const key = this.key(clientName);
+    const acknowledged = [];
+    const unknown = [];
+
+    for (const eventId of eventIds) {
+      const raw = await this.redis.hget(key, eventId);
+      const removed = raw ? await this.redis.hdel(key, eventId) : 0;
+
+      if (!removed) {
+        unknown.push(eventId);
+        continue;
+      }
+
+      await this.redis.zrem(this.dueKey(), this.member(clientName, eventId));
+
+      const pending = JSON.parse(raw);
+      acknowledged.push(eventId);
+      log.info('Event acknowledged', { clientName, eventId });
+      await this.publishResult('acked', pending.event, { deliveries: pending.deliveries });
+    }
+
+    return { acknowledged, unknown };
+  }
+
+  async publishResult(outcome, event, details = {}) {
+    const result = {
+      type: outcome,
+      clientName: event.clientName,
+      eventId: event.eventId,
+      action: event.action,
+      podName: POD_NAME,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    await this.redis.publish(this.resultsChannel, JSON.stringify(result));
+  }
+
+  async countPending(clientName) {
+    return this.redis.hlen(this.key(clientName));
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+module.exports = { AckTracker, requiresAck };
@@ -0,0 +1,142 @@
+/**
+ * Admin Auth
+ * API key authentication and role checks for /admin (and /publish) routes
+ * Keys come from ADMIN_API_KEYS as "name:key:role" entries separated by commas
+ * Roles: read-only (GET only) and operator (everything)
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const POD_NAME = process.env.POD_NAME || 'local-pod';
+const log = createLogger('ADMIN');
+const ROLES = ['read-only', 'operator'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function parseApiKeys(value, defaultRole = 'read-only') {
+  const keys = [];
+
+  for (const entry of (value || '').split(',')) {
+    if (!entry.trim()) {
+      continue;
+    }
+
+    const [name, key, role = defaultRole] = entry.trim().split(':');
+    if (!name || !key || !ROLES.includes(role)) {
+      throw new Error(`Invalid API key entry for "${name || entry}" (expected name:key:${ROLES.join('|')})`);
+    }
+    keys.push({ name, key, role });
+  }
+
+  return keys;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Pull credentials from X-API-Key, "Authorization: Bearer <key>" or
+ * "Authorization: Basic name:key" (for the HTML dashboard)
+ */
+function readCredentials(req) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return { key: apiKey };
+  }
+
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return { key: header.slice(7).trim() };
+  }
+
+  if (header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator !== -1) {
+      return { name: decoded.slice(0, separator), key: decoded.slice(separator + 1) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the admin middleware
+ * allowAnonymous - no keys configured and not production: let requests through as operator
+ * realm - Basic auth realm offered to browsers
+ */
+function createAdminAuth({ keys, allowAnonymous = false, realm = 'SSE Admin' }) {
+  function identify(req) {
+    if (keys.length === 0 && allowAnonymous) {
+      return { name: 'anonymous', role: 'operator' };
+    }
+
+    const credentials = readCredentials(req);
+    if (!credentials) {
+      return null;
+    }
+
+    const match = keys.find((entry) => safeEqual(entry.key, credentials.key) &&
+      (!credentials.name || credentials.name === entry.name));
+    return match ? { name: match.name, role: match.role } : null;
+  }
+
+  /**
+   * Authenticate, enforce read-only for non-operators and audit-log every request
+   */
+  function authenticate(req, res, next) {
+    const caller = identify(req);
+    res.on('finish', () => {
+      log.info('Audit', {
+        caller: caller ? caller.name : 'unauthenticated',
+        role: caller ? caller.role : null,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ip: req.ip
+      });
+    });
+
+    if (!caller) {
+      // The dashboard is opened in a browser, so offer Basic auth
+      res.setHeader('WWW-Authenticate', `Basic realm="${realm}", charset="UTF-8"`);
+      return res.status(401).json({
+        error: 'API key required',
+        podName: POD_NAME
+      });
+    }
+
+    req.adminUser = caller;
+
+    if (!READ_METHODS.includes(req.method) && caller.role !== 'operator') {
+      return res.status(403).json({
+        error: 'Operator role required',
+        podName: POD_NAME
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Explicit role guard for individual routes
+   */
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.adminUser || ROLES.indexOf(req.adminUser.role) < ROLES.indexOf(role)) {
+        return res.status(403).json({
+          error: `${role} role required`,
+          podName: POD_NAME
+        });
+      }
+      next();
+    };
+  }
+
+  return { authenticate, requireRole };
+}
+
+module.exports = { createAdminAuth, parseApiKeys };
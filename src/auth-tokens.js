@@ -0,0 +1,117 @@
+/**
+ * Auth Tokens
+ * Short-lived HMAC-signed registration tokens (JWT-compatible, HS256)
+ * Claims: sub = clientName, iat/exp = issue and expiry time in seconds,
+ * groups = groups the client joined at registration (optional)
+ */
+
+const crypto = require('crypto');
+
+class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(input, secret) {
+  return crypto.createHmac('sha256', secret).update(input).digest('base64url');
+}
+
+/**
+ * Issue a token for a client
+ * Returns { token, expiresAt } (expiresAt in ms since epoch)
+ */
+function issueToken(clientName, { secret, ttlSeconds, groups = [] }) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { sub: clientName, iat: now, exp: now + ttlSeconds };
+  if (groups.length > 0) {
+    claims.groups = groups;
+  }
+
+  const unsigned = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(claims)}`;
+  return {
+    token: `${unsigned}.${sign(unsigned, secret)}`,
+    expiresAt: claims.exp * 1000
+  };
+}
+
+/**
+ * Verify signature and expiry
+ * Returns the claims or throws a TokenError (code: missing, malformed, invalid_signature, expired)
+ */
+function verifyToken(token, secret) {
+  if (!token) {
+    throw new TokenError('missing', 'Token is required');
+  }
+
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new TokenError('malformed', 'Token is malformed');
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new TokenError('invalid_signature', 'Token signature is invalid');
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (alg !== 'HS256' || typeof claims.sub !== 'string' || !Number.isInteger(claims.exp) ||
+        (claims.groups !== undefined && !Array.isArray(claims.groups))) {
+      throw new Error('unexpected claims');
+    }
+  } catch (err) {
+    throw new TokenError('malformed', 'Token is malformed');
+  }
+
+  if (claims.exp * 1000 <= Date.now()) {
+    throw new TokenError('expired', 'Token has expired');
+  }
+
+  return claims;
+}
+
+/**
+ * Provisioning key for one device, derived from the provisioning secret
+ * Installed on the device so it can register itself without any stored per-device secret
+ */
+function deriveDeviceKey(clientName, secret) {
+  return sign(`device:${clientName}`, secret);
+}
+
+function verifyDeviceKey(clientName, key, secret) {
+  if (typeof key !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(deriveDeviceKey(clientName, secret));
+  const actual = Buffer.from(key);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Read a token from "Authorization: Bearer" or ?token=
+ * (EventSource cannot set headers, so browsers use the query string)
+ */
+function extractToken(req) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  // WebSocket upgrades arrive before Express, so there is no parsed query
+  const query = req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  return query.token || null;
+}
+
+module.exports = { issueToken, verifyToken, extractToken, deriveDeviceKey, verifyDeviceKey, TokenError };
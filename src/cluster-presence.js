@@ -0,0 +1,276 @@
+/**
+ * Cluster Presence
+ * Mirrors every connection into Redis with a TTL refreshed by the connection heartbeat,
+ * so entries left behind by crashed pods age out on their own
+ *
+ * One hash per client: tokenExpiresAt, plus per session
+ *   session:<id> - JSON { pod, sessionId, transport, connectedAt, lastActivity, eventCount }
+ *   seen:<id>    - last heartbeat (ms), used to drop sessions whose pod died
+ */
+
+const crypto = require('crypto');
+const { scanKeys } = require('./redis-client');
+
+// evict-old claims (ARGV[5] = 1) drop every other session; a new connection always wins
+const CLAIM_SCRIPT = `
+if ARGV[5] == '1' then
+  for _, field in ipairs(redis.call('HKEYS', KEYS[1])) do
+    if string.sub(field, 1, 8) == 'session:' or string.sub(field, 1, 5) == 'seen:' then
+      redis.call('HDEL', KEYS[1], field)
+    end
+  end
+end
+redis.call('HSET', KEYS[1], 'session:' .. ARGV[1], ARGV[2], 'seen:' .. ARGV[1], ARGV[3])
+local current = tonumber(redis.call('HGET', KEYS[1], 'tokenExpiresAt')) or 0
+if ARGV[5] == '1' or (tonumber(ARGV[4]) or 0) > current then
+  redis.call('HSET', KEYS[1], 'tokenExpiresAt', ARGV[4])
+end
+redis.call('EXPIRE', KEYS[1], ARGV[6])
+return 1
+`;
+
+// A heartbeat from a session that was evicted elsewhere must not bring it back,
+// unless the policy allows several sessions (ARGV[5] = 1) or the entry expired entirely
+const REFRESH_SCRIPT = `
+local field = 'session:' .. ARGV[1]
+local exists = redis.call('EXISTS', KEYS[1]) == 1
+if exists and ARGV[5] ~= '1' and redis.call('HEXISTS', KEYS[1], field) == 0 then
+  return 0
+end
+redis.call('HSET', KEYS[1], field, ARGV[2], 'seen:' .. ARGV[1], ARGV[3])
+if not exists then
+  redis.call('HSET', KEYS[1], 'tokenExpiresAt', ARGV[6])
+end
+local entries = redis.call('HGETALL', KEYS[1])
+for i = 1, #entries, 2 do
+  if string.sub(entries[i], 1, 5) == 'seen:' and tonumber(entries[i + 1]) < tonumber(ARGV[4]) then
+    local id = string.sub(entries[i], 6)
+    redis.call('HDEL', KEYS[1], entries[i], 'session:' .. id)
+  end
+end
+redis.call('EXPIRE', KEYS[1], ARGV[7])
+return 1
+`;
+
+// Token refreshes only apply to a live entry, never recreate one
+const EXTEND_TOKEN_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('HSET', KEYS[1], 'tokenExpiresAt', ARGV[1])
+end
+return -1
+`;
+
+// Drop one session; the entry goes away with the last one
+const RELEASE_SCRIPT = `
+redis.call('HDEL', KEYS[1], 'session:' .. ARGV[1], 'seen:' .. ARGV[1])
+for _, field in ipairs(redis.call('HKEYS', KEYS[1])) do
+  if string.sub(field, 1, 8) == 'session:' then
+    return 0
+  end
+end
+return redis.call('DEL', KEYS[1])
+`;
+
+class ClusterPresence {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.ttlSeconds = options.ttlSeconds || 90;
+    this.keyPrefix = options.keyPrefix || 'sse:presence';
+
+    this.redis.defineCommand('claimPresence', {
+      numberOfKeys: 1,
+      lua: CLAIM_SCRIPT
+    });
+
+    this.redis.defineCommand('refreshPresence', {
+      numberOfKeys: 1,
+      lua: REFRESH_SCRIPT
+    });
+
+    this.redis.defineCommand('extendPresenceToken', {
+      numberOfKeys: 1,
+      lua: EXTEND_TOKEN_SCRIPT
+    });
+
+    this.redis.defineCommand('releasePresence', {
+      numberOfKeys: 1,
+      lua: RELEASE_SCRIPT
+    });
+  }
+
+  // Hash tag keeps presence in the same cluster slot as the client's other keys
+  key(clientName) {
+    return `${this.keyPrefix}:{${clientName}}`;
+  }
+
+  sessionEntry(connection) {
+    const stats = connection.getStats();
+    return JSON.stringify({
+      pod: stats.podName,
+      sessionId: connection.sessionId,
+      transport: stats.transport,
+      connectedAt: stats.connectedAt,
+      lastActivity: stats.lastActivity,
+      eventCount: stats.eventCount
+    });
+  }
+
+  /**
+   * Announce a new session for a client
+   * replace - drop the client's other sessions cluster-wide (evict-old)
+   */
+  async markOnline(connection, replace = true) {
+    await this.redis.claimPresence(
+      this.key(connection.clientName),
+      connection.id,
+      this.sessionEntry(connection),
+      Date.now(),
+      connection.tokenExpiresAt || '',
+      replace ? 1 : 0,
+      this.ttlSeconds
+    );
+  }
+
+  /**
+   * Heartbeat - update activity, extend the TTL and drop sessions that stopped refreshing
+   * Returns false when the session was evicted by a newer connection elsewhere
+   */
+  async refresh(connection, rejoin = false) {
+    const now = Date.now();
+    const updated = await this.redis.refreshPresence(
+      this.key(connection.clientName),
+      connection.id,
+      this.sessionEntry(connection),
+      now,
+      now - this.ttlSeconds * 1000,
+      rejoin ? 1 : 0,
+      connection.tokenExpiresAt || '',
+      this.ttlSeconds
+    );
+    return updated === 1;
+  }
+
+  async markOffline(clientName, id) {
+    await this.redis.releasePresence(this.key(clientName), id);
+  }
+
+  /**
+   * Look up where a client's sessions are
+   */
+  async get(clientName) {
+    const entry = await this.redis.hgetall(this.key(clientName));
+    return this.toRecord(clientName, entry);
+  }
+
+  /**
+   * Every pod holding at least one session for the client
+   */
+  async getPods(clientName) {
+    const record = await this.get(clientName);
+    return record ? Array.from(new Set(record.sessions.map((session) => session.podName))) : [];
+  }
+
+  async extendToken(clientName, expiresAt) {
+    await this.redis.extendPresenceToken(this.key(clientName), expiresAt);
+  }
+
+  async getTokenExpiry(clientName) {
+    const expiresAt = await this.redis.hget(this.key(clientName), 'tokenExpiresAt');
+    return parseInt(expiresAt) || null;
+  }
+
+  /**
+   * Check a session id against the client's live connections, wherever they are
+   */
+  async verifySession(clientName, sessionId) {
+    if (typeof sessionId !== 'string') {
+      return false;
+    }
+
+    // Byte lengths - a non-ASCII id can match in characters but not in bytes
+    const candidate = Buffer.from(sessionId);
+    const entry = await this.redis.hgetall(this.key(clientName));
+    return this.parseSessions(entry).some((session) => typeof session.sessionId === 'string' &&
+      Buffer.byteLength(session.sessionId) === candidate.length &&
+      crypto.timingSafeEqual(Buffer.from(session.sessionId), candidate));
+  }
+
+  /**
+   * List every client connected anywhere in the cluster
+   */
+  async list(limit = 1000) {
+    const selected = await scanKeys(this.redis, `${this.keyPrefix}:{*}`, limit);
+    // One command per key - a pipeline cannot span cluster slots
+    const results = await Promise.all(selected.map((key) => this.redis.hgetall(key)));
+
+    const records = [];
+    selected.forEach((key, i) => {
+      const clientName = key.slice(this.keyPrefix.length + 2, -1);
+      // Entries can expire between SCAN and HGETALL
+      const record = this.toRecord(clientName, results[i]);
+      if (record) {
+        records.push(record);
+      }
+    });
+    return records;
+  }
+
+  /**
+   * Live sessions in a presence hash (stale ones are pruned on the next heartbeat)
+   */
+  parseSessions(entry) {
+    const staleBefore = Date.now() - this.ttlSeconds * 1000;
+    const sessions = [];
+
+    for (const [field, value] of Object.entries(entry || {})) {
+      if (!field.startsWith('session:')) {
+        continue;
+      }
+
+      const id = field.slice(8);
+      if ((parseInt(entry[`seen:${id}`]) || 0) < staleBefore) {
+        continue;
+      }
+
+      try {
+        sessions.push({ id, ...JSON.parse(value) });
+      } catch (err) {
+        // Unreadable entry - ignore it until it ages out
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * Client summary with its sessions, newest first (never exposes session secrets)
+   */
+  toRecord(clientName, entry) {
+    const sessions = this.parseSessions(entry)
+      .map((session) => ({
+        id: session.id,
+        podName: session.pod,
+        transport: session.transport || 'sse',
+        connectedAt: session.connectedAt,
+        lastActivity: session.lastActivity,
+        eventCount: parseInt(session.eventCount) || 0
+      }))
+      .sort((a, b) => b.connectedAt.localeCompare(a.connectedAt));
+
+    if (sessions.length === 0) {
+      return null;
+    }
+
+    return {
+      clientName,
+      podName: sessions[0].podName,
+      connectedAt: sessions[sessions.length - 1].connectedAt,
+      lastActivity: sessions.map((session) => session.lastActivity).sort().pop(),
+      eventCount: sessions.reduce((total, session) => total + session.eventCount, 0),
+      sessionCount: sessions.length,
+      transports: Array.from(new Set(sessions.map((session) => session.transport))),
+      sessions
+    };
+  }
+}
+
+module.exports = ClusterPresence;
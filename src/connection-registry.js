@@ -1,14 +1,38 @@
 /**
  * Connection Registry
  * Purely local (per-pod) in-memory registry with heartbeat and cleanup
+ * Connections write through a transport (SSE or WebSocket, see transports.js)
  */
 
-const POD_NAME = process.env.POD_NAME || 'local-pod';
+const crypto = require('crypto');
+const { matchesFilters } = require('./event-filters');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('SSE');
+const heartbeatLog = createLogger('HEARTBEAT');
+const registryLog = createLogger('REGISTRY');
+const RECENT_EVENT_IDS = 256;
+const COMPILED_PATTERNS = 100;
+
+// Outbound queue limits and what to do with a consumer that cannot keep up
+// policy - drop-oldest, drop-newest or disconnect when a high-water mark is hit
+// stallSeconds - close a connection whose socket has not drained for this long (0 = never)
+const DEFAULT_SEND_QUEUE = {
+  maxEvents: 1000,
+  maxBytes: 1024 * 1024,
+  policy: 'drop-oldest',
+  stallSeconds: 60
+};
 
 class ConnectionEntry {
-  constructor(clientName, response, podName, registry) {
+  constructor(clientName, transport, podName, registry, options = {}) {
     this.clientName = clientName;
-    this.response = response;
+    // Public id that tells a client's sessions apart in stats and presence
+    this.id = crypto.randomBytes(6).toString('hex');
+    // Shared only with the client; proves upstream requests come from this stream
+    this.sessionId = options.sessionId || crypto.randomUUID();
+    this.transport = transport;
     this.podName = podName;
     this.registry = registry;
     this.connectedAt = new Date();
@@ -16,42 +40,61 @@ class ConnectionEntry {
     this.heartbeatInterval = null;
     this.eventCount = 0;
     this.isAlive = true;
+    this.pendingReplays = 0;
+    this.replayBuffer = [];
+    this.recentEventIds = new Set();
+    this.tokenExpiresAt = options.tokenExpiresAt || null;
+    this.tokenTimer = null;
+    this.groups = options.groups || [];
+    this.filters = options.filters || null;
+    this.filteredEvents = 0;
+    this.handOffRetryMs = null;
+    this.queueOptions = { ...DEFAULT_SEND_QUEUE, ...options.sendQueue };
+    this.sendQueue = [];
+    this.queueBytes = 0;
+    this.droppedEvents = 0;
+    this.waitingForDrain = false;
+    this.stalledSince = null;
+    this.stallTimer = null;
 
     this.setupDisconnectHandlers();
     this.startHeartbeat();
+    this.scheduleTokenExpiry();
   }
 
   /**
    * Strategy 1: Immediate Detection
-   * Listen for disconnect events on request and response
+   * Listen for disconnect events on the transport
    */
   setupDisconnectHandlers() {
-    const cleanup = () => {
+    const cleanup = (reason = 'event_handler') => {
       if (this.isAlive) {
-        console.log(`[DISCONNECT][${POD_NAME}] Client ${this.clientName} disconnected (event handler)`);
-        this.close();
+        log.info('Client disconnected (event handler)', { clientName: this.clientName, transport: this.transport.type, reason });
+        this.close(reason);
       }
     };
 
-    // Request events
-    this.response.req.on('close', cleanup);
-    this.response.req.on('error', (err) => {
-      console.log(`[DISCONNECT][${POD_NAME}] Client ${this.clientName} request error:`, err.message);
-      cleanup();
+    this.transport.on('close', cleanup);
+    this.transport.on('error', (err) => {
+      log.warn('Client connection error', { clientName: this.clientName, transport: this.transport.type, error: err.message });
+      cleanup('event_handler');
     });
 
-    // Response events
-    this.response.on('error', (err) => {
-      console.log(`[DISCONNECT][${POD_NAME}] Client ${this.clientName} response error:`, err.message);
-      cleanup();
+    // The socket caught up - resume writing queued events
+    this.transport.on('drain', () => {
+      this.waitingForDrain = false;
+      this.stalledSince = null;
+      if (this.stallTimer) {
+        clearTimeout(this.stallTimer);
+        this.stallTimer = null;
+      }
+      this.flush();
     });
-
-    this.response.on('finish', cleanup);
   }
 
   /**
    * Strategy 2: Heartbeat
-   * Send periodic heartbeat messages to detect broken connections
+   * Send periodic heartbeats (SSE comments, WebSocket pings) to detect broken connections
    */
   startHeartbeat() {
     this.heartbeatInterval = setInterval(() => {
@@ -59,52 +102,327 @@ class ConnectionEntry {
         return;
       }
 
+      // A backed-up stream is not idle; the stall timer decides whether it is dead
+      if (this.waitingForDrain || this.sendQueue.length > 0) {
+        heartbeatLog.debug('Heartbeat skipped, waiting for drain', { clientName: this.clientName, queueDepth: this.sendQueue.length });
+        this.registry.refreshPresence(this);
+        return;
+      }
+
       try {
-        const heartbeatMsg = `: heartbeat ${new Date().toISOString()}\n\n`;
-        const success = this.response.write(heartbeatMsg);
-        
-        if (!success) {
-          console.log(`[HEARTBEAT][${POD_NAME}] Failed to write heartbeat to ${this.clientName}`);
-          this.close();
-        } else {
-          console.log(`[HEARTBEAT][${POD_NAME}] Sent to ${this.clientName}`);
+        if (!this.transport.heartbeat()) {
+          this.markStalled();
         }
+        heartbeatLog.debug('Heartbeat sent', { clientName: this.clientName });
+        this.registry.refreshPresence(this);
       } catch (err) {
-        console.log(`[HEARTBEAT][${POD_NAME}] Error sending to ${this.clientName}:`, err.message);
-        this.close();
+        heartbeatLog.warn('Error sending heartbeat', { clientName: this.clientName, error: err.message });
+        this.close('heartbeat_failure');
       }
     }, 30000); // 30 seconds
   }
 
   /**
-   * Strategy 3: Write Failure Detection
-   * Check return value and catch errors on every write
+   * Strategy 3: Backpressure
+   * Events go through a bounded queue that pauses while the socket buffer is full
+   * and resumes on 'drain'; write errors and long stalls close the connection
+   * options.retry - optional reconnection delay hint (ms) sent with the event
+   * options.redelivery - resend of an unacknowledged event, bypasses de-duplication
    */
-  sendEvent(event) {
+  sendEvent(event, options = {}) {
     if (!this.isAlive) {
-      console.log(`[SSE][${POD_NAME}] Cannot send to ${this.clientName}: connection is dead`);
+      log.warn('Cannot send: connection is dead', { clientName: this.clientName, eventId: event.eventId });
       return false;
     }
 
+    // Live events wait until replayed/mailbox events have been written
+    if (this.pendingReplays > 0) {
+      this.replayBuffer.push({ event, options });
+      return true;
+    }
+
+    return this.writeEvent(event, options);
+  }
+
+  writeEvent(event, options = {}) {
+    // The same event can arrive live, from history and from the mailbox
+    if (event.eventId && !options.redelivery && this.recentEventIds.has(event.eventId)) {
+      return true;
+    }
+
+    // Filtered out by the client's subscription - not an error
+    if (!matchesFilters(this.filters, event)) {
+      this.filteredEvents++;
+      log.debug('Event filtered', { clientName: this.clientName, eventId: event.eventId, action: event.action });
+      return true;
+    }
+
+    let message;
     try {
-      const message = `data: ${JSON.stringify(event)}\n\n`;
-      const success = this.response.write(message);
-      
-      if (!success) {
-        console.log(`[SSE][${POD_NAME}] Write failed for ${this.clientName}, closing connection`);
-        this.close();
+      message = this.transport.formatEvent({
+        event: event.action,
+        id: event.eventId,
+        retry: options.retry,
+        data: event
+      });
+    } catch (err) {
+      log.warn('Error formatting event', { clientName: this.clientName, eventId: event.eventId, error: err.message });
+      metrics.eventsFailedTotal.inc({ reason: 'write_failure' });
+      return false;
+    }
+
+    return this.enqueue({ message, bytes: Buffer.byteLength(message), event, options });
+  }
+
+  /**
+   * Apply the slow-consumer policy when a high-water mark would be crossed
+   */
+  enqueue(item) {
+    const { maxEvents, maxBytes, policy } = this.queueOptions;
+    const isFull = () => this.sendQueue.length > 0 &&
+      (this.sendQueue.length >= maxEvents || this.queueBytes + item.bytes > maxBytes);
+
+    if (isFull()) {
+      if (policy === 'disconnect') {
+        log.warn('Send queue full, disconnecting slow consumer', { clientName: this.clientName, queueDepth: this.sendQueue.length });
+        metrics.eventsFailedTotal.inc({ reason: 'queue_overflow' });
+        this.close('slow_consumer');
         return false;
       }
 
-      this.eventCount++;
-      this.lastActivity = new Date();
-      console.log(`[SSE][${POD_NAME}] ✅ Event #${this.eventCount} sent to ${this.clientName} (${event.action || 'event'})`);
-      return true;
+      if (policy === 'drop-newest') {
+        this.dropEvent(item);
+        return false;
+      }
+
+      while (isFull()) {
+        const oldest = this.sendQueue.shift();
+        this.queueBytes -= oldest.bytes;
+        this.dropEvent(oldest);
+      }
+    }
+
+    this.rememberEventId(item.event.eventId);
+    this.sendQueue.push(item);
+    this.queueBytes += item.bytes;
+    this.flush();
+    return this.isAlive;
+  }
+
+  dropEvent(item) {
+    this.droppedEvents++;
+    metrics.eventsFailedTotal.inc({ reason: 'queue_overflow' });
+    // Let a replay or redelivery bring it back
+    this.recentEventIds.delete(item.event.eventId);
+    log.warn('Send queue full, dropped event', {
+      clientName: this.clientName,
+      eventId: item.event.eventId,
+      policy: this.queueOptions.policy,
+      queueDepth: this.sendQueue.length
+    });
+  }
+
+  /**
+   * Write queued events until the socket buffer fills up
+   * write() returning false still accepts the chunk - it only asks us to wait for 'drain'
+   */
+  flush() {
+    while (this.isAlive && !this.waitingForDrain && this.sendQueue.length > 0) {
+      const item = this.sendQueue.shift();
+      this.queueBytes -= item.bytes;
+
+      try {
+        if (!this.transport.write(item.message)) {
+          this.markStalled();
+        }
+      } catch (err) {
+        log.warn('Error writing event', { clientName: this.clientName, eventId: item.event.eventId, error: err.message });
+        metrics.eventsFailedTotal.inc({ reason: 'write_failure' });
+        this.close('write_failure');
+        return;
+      }
+
+      this.delivered(item);
+    }
+
+    if (this.handOffRetryMs !== null && this.sendQueue.length === 0 && !this.waitingForDrain) {
+      this.finishHandOff();
+    }
+  }
+
+  markStalled() {
+    this.waitingForDrain = true;
+    if (this.stalledSince) {
+      return;
+    }
+
+    this.stalledSince = new Date();
+    log.debug('Socket buffer full, waiting for drain', { clientName: this.clientName });
+
+    const { stallSeconds } = this.queueOptions;
+    if (stallSeconds > 0) {
+      this.stallTimer = setTimeout(() => {
+        this.stallTimer = null;
+        log.warn('Connection stalled, disconnecting slow consumer', {
+          clientName: this.clientName,
+          stallSeconds,
+          queueDepth: this.sendQueue.length
+        });
+        this.close('slow_consumer');
+      }, stallSeconds * 1000);
+    }
+  }
+
+  delivered({ event, options }) {
+    this.eventCount++;
+    this.lastActivity = new Date();
+    metrics.eventsRoutedTotal.inc();
+    metrics.observeDelivery(event);
+    log.debug('Event sent', {
+      clientName: this.clientName,
+      eventId: event.eventId,
+      action: event.action,
+      eventCount: this.eventCount
+    });
+
+    if (!options.redelivery) {
+      this.registry.trackDelivery(event);
+    }
+  }
+
+  /**
+   * Token expiry
+   * The stream closes when its registration token expires unless refreshed
+   */
+  scheduleTokenExpiry() {
+    if (this.tokenTimer) {
+      clearTimeout(this.tokenTimer);
+      this.tokenTimer = null;
+    }
+
+    if (!this.tokenExpiresAt || !this.isAlive) {
+      return;
+    }
+
+    this.tokenTimer = setTimeout(() => {
+      this.tokenTimer = null;
+      this.registry.checkTokenExpiry(this);
+    }, Math.max(this.tokenExpiresAt - Date.now(), 0));
+  }
+
+  extendToken(expiresAt) {
+    this.tokenExpiresAt = expiresAt;
+    this.scheduleTokenExpiry();
+  }
+
+  expireToken() {
+    if (!this.isAlive) {
+      return;
+    }
+
+    log.info('Token expired', { clientName: this.clientName });
+    try {
+      this.transport.write(this.transport.formatEvent({
+        event: 'token-expired',
+        data: { type: 'token-expired', clientName: this.clientName, timestamp: new Date().toISOString() }
+      }));
     } catch (err) {
-      console.log(`[SSE][${POD_NAME}] Error writing to ${this.clientName}:`, err.message);
-      this.close();
-      return false;
+      // Closing anyway
+    }
+    this.close('token_expired');
+  }
+
+  rememberEventId(eventId) {
+    if (!eventId) {
+      return;
+    }
+    this.recentEventIds.add(eventId);
+    if (this.recentEventIds.size > RECENT_EVENT_IDS) {
+      // Sets iterate in insertion order, so this drops the oldest id
+      this.recentEventIds.delete(this.recentEventIds.values().next().value);
+    }
+  }
+
+  /**
+   * Replay on (re)connect
+   * Hold live events while missed ones are fetched from history or the mailbox.
+   * Several replays may overlap; live delivery resumes after the last one.
+   */
+  beginReplay() {
+    this.pendingReplays++;
+  }
+
+  /**
+   * Returns how many events, oldest first, were written before one failed
+   */
+  finishReplay(events) {
+    if (!this.isAlive) {
+      return 0;
+    }
+
+    let written = 0;
+    for (let i = 0; i < events.length; i++) {
+      const ok = this.writeEvent(events[i]);
+      if (!this.isAlive) {
+        return written;
+      }
+      if (ok && written === i) {
+        written++;
+      }
     }
+
+    this.pendingReplays--;
+    if (this.pendingReplays > 0) {
+      return written;
+    }
+
+    const buffered = this.replayBuffer;
+    this.replayBuffer = [];
+    for (const { event, options } of buffered) {
+      this.sendEvent(event, options);
+    }
+    return written;
+  }
+
+  /**
+   * Drain: close once everything queued has been written, telling the client
+   * to reconnect (to another pod) after retryMs
+   */
+  handOff(retryMs) {
+    if (!this.isAlive || this.handOffRetryMs !== null) {
+      return;
+    }
+
+    this.handOffRetryMs = retryMs;
+    this.flush();
+  }
+
+  finishHandOff() {
+    log.info('Handing off client', { clientName: this.clientName, session: this.id, retryMs: this.handOffRetryMs });
+    try {
+      this.transport.write(this.transport.formatEvent({
+        event: 'reconnect',
+        retry: this.handOffRetryMs,
+        data: {
+          type: 'reconnect',
+          reason: 'drain',
+          clientName: this.clientName,
+          retryMs: this.handOffRetryMs,
+          timestamp: new Date().toISOString()
+        }
+      }));
+    } catch (err) {
+      // Closing anyway
+    }
+    this.close('drain');
+  }
+
+  /**
+   * Replace the subscription filters mid-stream (see event-filters parseFilters)
+   */
+  setFilters(filters) {
+    this.filters = filters;
+    log.info('Filters updated', { clientName: this.clientName, session: this.id, filters });
   }
 
   updateActivity() {
@@ -113,117 +431,492 @@ class ConnectionEntry {
 
   getStats() {
     return {
+      id: this.id,
       clientName: this.clientName,
       podName: this.podName,
+      transport: this.transport.type,
+      groups: this.groups,
+      filters: this.filters,
+      filteredEvents: this.filteredEvents,
       connectedAt: this.connectedAt.toISOString(),
       lastActivity: this.lastActivity.toISOString(),
       eventCount: this.eventCount,
       isAlive: this.isAlive,
+      queueDepth: this.sendQueue.length,
+      queueBytes: this.queueBytes,
+      droppedEvents: this.droppedEvents,
+      stalledSince: this.stalledSince ? this.stalledSince.toISOString() : null,
       uptime: Math.floor((Date.now() - this.connectedAt.getTime()) / 1000)
     };
   }
 
-  close() {
+  /**
+   * reason - event_handler, heartbeat_failure, write_failure, slow_consumer, forced_eviction, token_expired, drain, shutdown, poll_idle
+   */
+  close(reason = 'event_handler') {
     if (!this.isAlive) {
       return; // Already closed
     }
 
-    console.log(`[DISCONNECT][${POD_NAME}] Closing connection for ${this.clientName}`);
+    log.info('Closing connection', { clientName: this.clientName, session: this.id, reason });
     this.isAlive = false;
+    metrics.disconnectsTotal.inc({ reason });
+    this.replayBuffer = [];
+    this.sendQueue = [];
+    this.queueBytes = 0;
 
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
     }
 
+    if (this.tokenTimer) {
+      clearTimeout(this.tokenTimer);
+      this.tokenTimer = null;
+    }
+
+    if (this.stallTimer) {
+      clearTimeout(this.stallTimer);
+      this.stallTimer = null;
+    }
+
     try {
-      this.response.end();
+      this.transport.end(reason);
     } catch (err) {
-      console.log(`[DISCONNECT][${POD_NAME}] Error ending response for ${this.clientName}:`, err.message);
+      log.warn('Error ending connection', { clientName: this.clientName, transport: this.transport.type, error: err.message });
     }
 
     // Remove from registry
     if (this.registry) {
-      this.registry.remove(this.clientName);
+      this.registry.remove(this);
     }
   }
 }
 
 /**
  * Connection Registry
- * Centralized management of all SSE connections
+ * Centralized management of all SSE and WebSocket connections, keyed by clientName and session id
  */
 class ConnectionRegistry {
   constructor() {
     this.connections = new Map();
+    // group -> sessions that joined it
+    this.groups = new Map();
+    this.patterns = new Map();
+    this.presence = null;
+    this.mailbox = null;
+    this.ackTracker = null;
+    this.sendQueueOptions = {};
+    this.policyFor = () => 'evict-old';
+    this.draining = false;
+    this.drainTimers = [];
+    this.onDrained = null;
+  }
+
+  /**
+   * Attach the Redis-backed cluster presence, offline mailbox and ack tracker,
+   * and set the per-connection send queue limits and the session policy lookup
+   */
+  configure({ presence, mailbox, ackTracker, sendQueue, sessionPolicy }) {
+    this.presence = presence || null;
+    this.mailbox = mailbox || null;
+    this.ackTracker = ackTracker || null;
+    this.sendQueueOptions = sendQueue || {};
+    if (sessionPolicy) {
+      this.policyFor = sessionPolicy;
+    }
+  }
+
+  /**
+   * Whether a new connection for clientName may open (reject-new refuses
+   * while the client has a session on any pod)
+   */
+  async admit(clientName) {
+    if (this.policyFor(clientName) !== 'reject-new') {
+      return true;
+    }
+
+    if (this.has(clientName)) {
+      return false;
+    }
+
+    return this.presence ? !(await this.presence.get(clientName)) : true;
   }
 
   /**
    * Strategy 4: Forced Eviction
-   * When a new connection arrives with the same clientName, close the old one
-   */
-  register(clientName, response, podName) {
-    // Check if connection already exists
-    if (this.connections.has(clientName)) {
-      console.log(`[REGISTRY][${POD_NAME}] Forced eviction: ${clientName} already connected, closing old connection`);
-      const oldConnection = this.connections.get(clientName);
-      oldConnection.close();
-      this.connections.delete(clientName);
+   * Under evict-old, a new connection with the same clientName closes the old ones;
+   * fan-out and reject-new keep every admitted session
+   */
+  register(clientName, transport, podName, options = {}) {
+    const policy = this.policyFor(clientName);
+
+    if (policy === 'evict-old' && this.has(clientName)) {
+      registryLog.info('Forced eviction: already connected, closing old connection', { clientName });
+      for (const oldConnection of this.getSessions(clientName)) {
+        oldConnection.close('forced_eviction');
+      }
+    }
+
+    const connection = new ConnectionEntry(clientName, transport, podName, this, {
+      sendQueue: this.sendQueueOptions,
+      ...options
+    });
+
+    if (!this.connections.has(clientName)) {
+      this.connections.set(clientName, new Map());
+    }
+    this.connections.get(clientName).set(connection.id, connection);
+    for (const group of connection.groups) {
+      if (!this.groups.has(group)) {
+        this.groups.set(group, new Set());
+      }
+      this.groups.get(group).add(connection);
     }
+    metrics.connectsTotal.inc();
+    metrics.activeConnections.set(this.count());
+
+    registryLog.info('Registered', {
+      clientName,
+      session: connection.id,
+      transport: transport.type,
+      policy,
+      sessions: this.connections.get(clientName).size,
+      total: this.count()
+    });
 
-    const connection = new ConnectionEntry(clientName, response, podName, this);
-    this.connections.set(clientName, connection);
+    this.announce(connection, policy);
 
-    console.log(`[REGISTRY][${POD_NAME}] ✅ Registered ${clientName} on pod ${podName} (Total: ${this.connections.size})`);
-    
     return connection;
   }
 
-  get(clientName) {
-    return this.connections.get(clientName);
+  /**
+   * Claim the client cluster-wide, then hand over anything queued while it was offline.
+   * Presence must be set before draining so no new mail lands after the drain.
+   */
+  announce(connection, policy) {
+    if (!this.presence) {
+      return;
+    }
+
+    const { clientName } = connection;
+    let replayed = false;
+    const replay = (events) => {
+      replayed = true;
+      return connection.finishReplay(events);
+    };
+    connection.beginReplay();
+
+    this.presence.markOnline(connection, policy === 'evict-old')
+      .then(() => (this.mailbox ? this.mailbox.drain(clientName, replay) : replay([])))
+      .catch((err) => {
+        registryLog.error('Failed to announce', { clientName, error: err.message });
+        if (!replayed) {
+          connection.finishReplay([]);
+        }
+      });
+  }
+
+  refreshPresence(connection) {
+    if (!this.presence) {
+      return;
+    }
+
+    const rejoin = this.policyFor(connection.clientName) !== 'evict-old';
+    this.presence.refresh(connection, rejoin)
+      .then((owned) => {
+        // Only evict-old refuses to rejoin - a newer session on another pod evicted this one
+        if (!owned && connection.isAlive) {
+          registryLog.warn('Client is now held by another pod, evicting', { clientName: connection.clientName, session: connection.id });
+          connection.close('forced_eviction');
+        }
+      })
+      .catch((err) => {
+        registryLog.error('Failed to refresh presence', { clientName: connection.clientName, error: err.message });
+      });
+  }
+
+  /**
+   * A connection's token ran out - the refresh may have happened on another pod
+   */
+  checkTokenExpiry(connection) {
+    if (!this.presence) {
+      connection.expireToken();
+      return;
+    }
+
+    this.presence.getTokenExpiry(connection.clientName)
+      .then((expiresAt) => {
+        if (expiresAt && expiresAt > Date.now() && this.getSessions(connection.clientName).includes(connection)) {
+          connection.extendToken(expiresAt);
+        } else {
+          connection.expireToken();
+        }
+      })
+      .catch((err) => {
+        registryLog.error('Failed to check token expiry', { clientName: connection.clientName, error: err.message });
+        connection.expireToken();
+      });
+  }
+
+  /**
+   * Record a refreshed token for the client's open streams, wherever they are
+   */
+  async extendToken(clientName, expiresAt) {
+    for (const connection of this.getSessions(clientName)) {
+      connection.extendToken(expiresAt);
+    }
+
+    if (this.presence) {
+      await this.presence.extendToken(clientName, expiresAt);
+    }
+  }
+
+  /**
+   * Start the redelivery schedule for events that require an ack
+   */
+  trackDelivery(event) {
+    if (!this.ackTracker || !event.eventId) {
+      return;
+    }
+
+    this.ackTracker.track(event).catch((err) => {
+      registryLog.error('Failed to track ack', { clientName: event.clientName, eventId: event.eventId, error: err.message });
+    });
+  }
+
+  /**
+   * Send an event to every session of a client on this pod
+   * Returns the number of sessions that accepted it
+   */
+  sendEvent(clientName, event, options = {}) {
+    let sent = 0;
+    for (const connection of this.getSessions(clientName)) {
+      if (connection.sendEvent(event, options)) {
+        sent++;
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Sessions on this pod matched by a group target (see event-envelope getTarget)
+   */
+  resolveTarget(target) {
+    if (target.type === 'client') {
+      return this.getSessions(target.value);
+    }
+
+    if (target.type === 'group') {
+      return Array.from(this.groups.get(target.value) || []);
+    }
+
+    const matched = [];
+    const pattern = target.type === 'pattern' ? this.compilePattern(target.value) : null;
+    for (const [clientName, sessions] of this.connections) {
+      // The literal prefix rules out most clients without running the regex
+      if (!pattern || (clientName.startsWith(pattern.prefix) && pattern.regex.test(clientName))) {
+        matched.push(...sessions.values());
+      }
+    }
+    return matched;
+  }
+
+  /**
+   * Glob (* and ?) to regex, cached since the same patterns repeat
+   */
+  compilePattern(glob) {
+    let pattern = this.patterns.get(glob);
+    if (pattern) {
+      return pattern;
+    }
+
+    const source = glob
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/[*?]/g, (wildcard) => (wildcard === '*' ? '.*' : '.'));
+    pattern = {
+      prefix: glob.split(/[*?]/)[0],
+      regex: new RegExp(`^${source}$`)
+    };
+
+    if (this.patterns.size >= COMPILED_PATTERNS) {
+      this.patterns.delete(this.patterns.keys().next().value);
+    }
+    this.patterns.set(glob, pattern);
+    return pattern;
+  }
+
+  /**
+   * Send a group-addressed event to every matching session on this pod
+   * Each copy carries the recipient's clientName so acks and history work per client
+   * Returns { clients, connections } - client names and number of sessions reached
+   */
+  sendToTarget(target, event, options = {}) {
+    const clients = new Set();
+    let connections = 0;
+
+    for (const connection of this.resolveTarget(target)) {
+      if (connection.sendEvent({ ...event, clientName: connection.clientName }, options)) {
+        clients.add(connection.clientName);
+        connections++;
+      }
+    }
+    return { clients: Array.from(clients), connections };
+  }
+
+  getSessions(clientName) {
+    const sessions = this.connections.get(clientName);
+    return sessions ? Array.from(sessions.values()) : [];
+  }
+
+  /**
+   * Find the local session a client's upstream request belongs to
+   * The session id is a credential - compared in constant time like presence.verifySession
+   */
+  findBySessionId(clientName, sessionId) {
+    if (typeof sessionId !== 'string') {
+      return null;
+    }
+
+    const candidate = Buffer.from(sessionId);
+    return this.getSessions(clientName).find((connection) => typeof connection.sessionId === 'string' &&
+      Buffer.byteLength(connection.sessionId) === candidate.length &&
+      crypto.timingSafeEqual(Buffer.from(connection.sessionId), candidate)) || null;
   }
 
   has(clientName) {
     return this.connections.has(clientName);
   }
 
-  remove(clientName) {
-    const existed = this.connections.delete(clientName);
-    if (existed) {
-      console.log(`[REGISTRY][${POD_NAME}] Removed ${clientName}. Total connections: ${this.connections.size}`);
+  remove(connection) {
+    const { clientName } = connection;
+    const sessions = this.connections.get(clientName);
+    if (!sessions || sessions.get(connection.id) !== connection) {
+      return false;
+    }
+
+    sessions.delete(connection.id);
+    if (sessions.size === 0) {
+      this.connections.delete(clientName);
+    }
+
+    for (const group of connection.groups) {
+      const members = this.groups.get(group);
+      if (members) {
+        members.delete(connection);
+        if (members.size === 0) {
+          this.groups.delete(group);
+        }
+      }
+    }
+
+    registryLog.info('Removed', { clientName, session: connection.id, sessions: sessions.size, total: this.count() });
+    metrics.activeConnections.set(this.count());
+
+    if (this.onDrained && this.count() === 0) {
+      this.onDrained();
+    }
+
+    if (this.presence) {
+      this.presence.markOffline(clientName, connection.id).catch((err) => {
+        registryLog.error('Failed to clear presence', { clientName, error: err.message });
+      });
     }
-    return existed;
+    return true;
   }
 
   updateActivity(clientName) {
-    const connection = this.connections.get(clientName);
-    if (connection) {
+    for (const connection of this.getSessions(clientName)) {
       connection.updateActivity();
     }
   }
 
+  /**
+   * Open connections (sessions) on this pod
+   */
   count() {
-    return this.connections.size;
+    let total = 0;
+    for (const sessions of this.connections.values()) {
+      total += sessions.size;
+    }
+    return total;
+  }
+
+  /**
+   * Stats per client with its sessions listed underneath
+   */
+  getClientStats(clientName) {
+    const sessions = this.getSessions(clientName).map((connection) => connection.getStats());
+    if (sessions.length === 0) {
+      return null;
+    }
+
+    const sum = (field) => sessions.reduce((total, session) => total + session[field], 0);
+    return {
+      clientName,
+      podName: sessions[0].podName,
+      connectedAt: sessions[0].connectedAt,
+      lastActivity: sessions.map((session) => session.lastActivity).sort().pop(),
+      eventCount: sum('eventCount'),
+      queueDepth: sum('queueDepth'),
+      droppedEvents: sum('droppedEvents'),
+      isAlive: sessions.some((session) => session.isAlive),
+      uptime: sessions[0].uptime,
+      sessionCount: sessions.length,
+      transports: Array.from(new Set(sessions.map((session) => session.transport))),
+      sessions
+    };
   }
 
   getAll() {
     const stats = [];
-    for (const [clientName, connection] of this.connections.entries()) {
-      stats.push(connection.getStats());
+    for (const clientName of this.connections.keys()) {
+      stats.push(this.getClientStats(clientName));
     }
     return stats;
   }
 
+  /**
+   * Graceful drain: hand every session off to another pod, staggered over windowMs
+   * so clients do not all reconnect at once. Each gets a 'reconnect' event with a
+   * jittered retry hint between retryMs and twice that.
+   * Resolves once no connections are left on this pod.
+   */
+  drain({ windowMs = 20000, retryMs = 3000 } = {}) {
+    this.draining = true;
+    const connections = Array.from(this.connections.values()).flatMap((sessions) => Array.from(sessions.values()));
+    registryLog.info('Draining connections', { total: connections.length, windowMs });
+
+    const drained = new Promise((resolve) => {
+      this.onDrained = resolve;
+    });
+    if (connections.length === 0) {
+      this.onDrained();
+    }
+
+    for (const connection of connections) {
+      const retry = retryMs + Math.floor(Math.random() * retryMs);
+      this.drainTimers.push(setTimeout(() => connection.handOff(retry), Math.floor(Math.random() * windowMs)));
+    }
+    return drained;
+  }
+
   closeAll() {
-    console.log(`[REGISTRY][${POD_NAME}] Closing all ${this.connections.size} connections`);
-    for (const connection of this.connections.values()) {
-      try {
-        connection.close();
-      } catch (err) {
-        console.log(`[REGISTRY][${POD_NAME}] Error closing connection:`, err.message);
+    this.drainTimers.forEach((timer) => clearTimeout(timer));
+    this.drainTimers = [];
+
+    registryLog.info('Closing all connections', { total: this.count() });
+    for (const sessions of this.connections.values()) {
+      for (const connection of sessions.values()) {
+        try {
+          connection.close('shutdown');
+        } catch (err) {
+          registryLog.warn('Error closing connection', { error: err.message });
+        }
       }
     }
     this.connections.clear();
+    metrics.activeConnections.set(0);
   }
 }
 
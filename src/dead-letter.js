@@ -0,0 +1,120 @@
+/**
+ * Dead Letter Queue
+ * Keeps rejected or unparseable messages in a Redis Stream (and announces
+ * them on a channel) so they can be inspected and replayed
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const POD_NAME = process.env.POD_NAME || 'local-pod';
+const log = createLogger('DEADLETTER');
+
+// Every pod rejects the same broadcast message, so only the first one records it
+const RECORD_SCRIPT = `
+if not redis.call('SET', KEYS[2], '1', 'NX', 'EX', ARGV[2]) then
+  return false
+end
+return redis.call('XADD', KEYS[1], 'MAXLEN', '~', ARGV[1], '*',
+  'reason', ARGV[3], 'details', ARGV[4], 'message', ARGV[5],
+  'channel', ARGV[6], 'podName', ARGV[7], 'receivedAt', ARGV[8])
+`;
+
+class DeadLetterQueue {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.streamKey = options.streamKey || 'sse:dead-letter';
+    this.channel = options.channel || 'events-dead-letter';
+    this.maxLength = options.maxLength || 10000;
+    this.dedupeSeconds = options.dedupeSeconds || 300;
+
+    this.redis.defineCommand('recordDeadLetter', {
+      numberOfKeys: 2,
+      lua: RECORD_SCRIPT
+    });
+  }
+
+  // Same cluster slot as the stream so the record script can touch both
+  seenKey(message) {
+    const digest = crypto.createHash('sha1').update(message).digest('hex');
+    const slotKey = this.streamKey.includes('{') ? this.streamKey : `{${this.streamKey}}`;
+    return `${slotKey}:seen:${digest}`;
+  }
+
+  /**
+   * Record a rejected message
+   * reason - short code (invalid_json, missing_client_name, schema_validation)
+   * details - list of human readable problems
+   */
+  async record(message, reason, details = [], channel = '') {
+    const receivedAt = new Date().toISOString();
+    const id = await this.redis.recordDeadLetter(
+      this.streamKey,
+      this.seenKey(message),
+      this.maxLength,
+      this.dedupeSeconds,
+      reason,
+      JSON.stringify(details),
+      message,
+      channel,
+      POD_NAME,
+      receivedAt
+    );
+
+    if (!id) {
+      return null; // Another pod already recorded it
+    }
+
+    log.warn('Recorded dead letter', { id, reason, details, channel });
+    await this.redis.publish(this.channel, JSON.stringify({ id, reason, details, message, channel, podName: POD_NAME, receivedAt }));
+    return id;
+  }
+
+  toEntry([id, fields]) {
+    const entry = { id };
+    for (let i = 0; i < fields.length; i += 2) {
+      entry[fields[i]] = fields[i + 1];
+    }
+
+    try {
+      entry.details = JSON.parse(entry.details);
+    } catch (err) {
+      entry.details = [];
+    }
+    return entry;
+  }
+
+  /**
+   * Newest entries first
+   */
+  async list(count = 50) {
+    const entries = await this.redis.xrevrange(this.streamKey, '+', '-', 'COUNT', count);
+    return entries.map((entry) => this.toEntry(entry));
+  }
+
+  async get(id) {
+    const entries = await this.redis.xrange(this.streamKey, id, id);
+    return entries.length > 0 ? this.toEntry(entries[0]) : null;
+  }
+
+  async count() {
+    return this.redis.xlen(this.streamKey);
+  }
+
+  /**
+   * Let the message be dead-lettered again - before replaying it, so a replay
+   * that is still rejected gets a new entry instead of being dropped as a duplicate
+   */
+  async forget(entry) {
+    await this.redis.del(this.seenKey(entry.message));
+  }
+
+  /**
+   * Remove an entry once its replay was published
+   */
+  async remove(entry) {
+    await this.redis.xdel(this.streamKey, entry.id);
+  }
+}
+
+module.exports = DeadLetterQueue;
@@ -0,0 +1,119 @@
+/**
+ * Event Envelope
+ * Validation and defaults for events published to clients
+ * { clientName, action, data, eventId?, timestamp?, ... }
+ *
+ * Instead of clientName an event may address many clients at once:
+ *   clientPattern - glob over client names (* and ?), e.g. STORE001-*
+ *   group         - every client that joined the group at registration
+ *   broadcast     - true for every connected client
+ */
+
+const crypto = require('crypto');
+
+const CLIENT_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const CLIENT_GLOB_PATTERN = /^[a-zA-Z0-9_*?-]{1,128}$/;
+const GROUP_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const ACTION_PATTERN = /^[a-zA-Z0-9_.-]{1,64}$/;
+const MAX_GROUPS = 32;
+
+function generateEventId() {
+  return `evt-${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Who an event is addressed to
+ * Returns { type: client|pattern|group|broadcast, value } or null when there is no target
+ */
+function getTarget(event) {
+  if (event.clientName !== undefined) {
+    return { type: 'client', value: event.clientName };
+  }
+  if (event.clientPattern !== undefined) {
+    return { type: 'pattern', value: event.clientPattern };
+  }
+  if (event.group !== undefined) {
+    return { type: 'group', value: event.group };
+  }
+  if (event.broadcast === true) {
+    return { type: 'broadcast', value: '*' };
+  }
+  return null;
+}
+
+/**
+ * Validate the groups a client asks to join at registration
+ * Returns a list of problems (empty when valid)
+ */
+function validateGroups(groups) {
+  if (!Array.isArray(groups) || groups.length > MAX_GROUPS) {
+    return [`groups must be an array of at most ${MAX_GROUPS} names`];
+  }
+  if (!groups.every((group) => typeof group === 'string' && GROUP_NAME_PATTERN.test(group))) {
+    return ['group names must be 1-64 alphanumeric, underscore or hyphen characters'];
+  }
+  return [];
+}
+
+/**
+ * Validate an envelope
+ * Returns a list of problems (empty when valid)
+ */
+function validateEnvelope(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return ['event must be a JSON object'];
+  }
+
+  const errors = [];
+
+  const targets = ['clientName', 'clientPattern', 'group', 'broadcast'].filter((field) => event[field] !== undefined);
+  const target = getTarget(event);
+
+  if (targets.length !== 1 || !target) {
+    errors.push('exactly one of clientName, clientPattern, group or broadcast: true is required');
+  } else if (target.type === 'client' && (typeof target.value !== 'string' || !CLIENT_NAME_PATTERN.test(target.value))) {
+    errors.push('clientName must contain only alphanumeric characters, underscores, and hyphens');
+  } else if (target.type === 'pattern' && (typeof target.value !== 'string' || !CLIENT_GLOB_PATTERN.test(target.value))) {
+    errors.push('clientPattern must be 1-128 alphanumeric, underscore, hyphen, * or ? characters');
+  } else if (target.type === 'group' && (typeof target.value !== 'string' || !GROUP_NAME_PATTERN.test(target.value))) {
+    errors.push('group must be 1-64 alphanumeric, underscore or hyphen characters');
+  }
+
+  if (typeof event.action !== 'string' || !ACTION_PATTERN.test(event.action)) {
+    errors.push('action is required and must be 1-64 alphanumeric, underscore, dot or hyphen characters');
+  }
+
+  if (!event.data || typeof event.data !== 'object' || Array.isArray(event.data)) {
+    errors.push('data is required and must be an object');
+  }
+
+  if (event.eventId !== undefined && (typeof event.eventId !== 'string' || event.eventId.length === 0)) {
+    errors.push('eventId must be a non-empty string');
+  }
+
+  if (event.timestamp !== undefined && (typeof event.timestamp !== 'string' || isNaN(Date.parse(event.timestamp)))) {
+    errors.push('timestamp must be an ISO 8601 date string');
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in eventId and timestamp when the sender did not provide them
+ */
+function createEnvelope(event) {
+  return {
+    ...event,
+    eventId: event.eventId || generateEventId(),
+    timestamp: event.timestamp || new Date().toISOString()
+  };
+}
+
+module.exports = {
+  validateEnvelope,
+  validateGroups,
+  createEnvelope,
+  generateEventId,
+  getTarget,
+  CLIENT_NAME_PATTERN
+};
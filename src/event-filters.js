@@ -0,0 +1,69 @@
+/**
+ * Event Filters
+ * Per-connection subscription filters applied before an event is written
+ *   actions     - only these actions (e.g. receipt,alert)
+ *   minSeverity - only events at or above this severity; events without one pass
+ */
+
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+const ACTION_PATTERN = /^[a-zA-Z0-9_.-]{1,64}$/;
+const MAX_ACTIONS = 32;
+
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return typeof value === 'string' ? value.split(',').map((item) => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Build filters from query parameters or a control request body
+ * Accepts actions as "a,b" or ["a", "b"]; empty values clear a filter
+ * Returns { filters, errors }
+ */
+function parseFilters({ actions, minSeverity } = {}) {
+  const errors = [];
+  const filters = { actions: null, minSeverity: null };
+
+  const actionList = toList(actions);
+  if (actionList.length > MAX_ACTIONS || !actionList.every((action) => typeof action === 'string' && ACTION_PATTERN.test(action))) {
+    errors.push(`actions must be at most ${MAX_ACTIONS} action names`);
+  } else if (actionList.length > 0) {
+    filters.actions = actionList;
+  }
+
+  if (minSeverity !== undefined && minSeverity !== null && minSeverity !== '') {
+    if (!SEVERITIES.includes(minSeverity)) {
+      errors.push(`minSeverity must be one of ${SEVERITIES.join(', ')}`);
+    } else {
+      filters.minSeverity = minSeverity;
+    }
+  }
+
+  return { filters, errors };
+}
+
+function severityOf(event) {
+  return event.severity || (event.data && event.data.severity);
+}
+
+function matchesFilters(filters, event) {
+  if (!filters) {
+    return true;
+  }
+
+  if (filters.actions && !filters.actions.includes(event.action)) {
+    return false;
+  }
+
+  if (filters.minSeverity) {
+    const rank = SEVERITIES.indexOf(severityOf(event));
+    if (rank !== -1 && rank < SEVERITIES.indexOf(filters.minSeverity)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = { parseFilters, matchesFilters, SEVERITIES };
@@ -0,0 +1,104 @@
+/**
+ * Event History
+ * Bounded per-client Redis Stream used to replay missed events
+ * when a client reconnects with Last-Event-ID
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('HISTORY');
+
+// Every pod sees every message, so the append must be idempotent per eventId.
+// The eventId -> stream id index also lets us resolve Last-Event-ID later.
+const APPEND_SCRIPT = `
+local existing = redis.call('GET', KEYS[2])
+if existing then
+  return existing
+end
+local id = redis.call('XADD', KEYS[1], 'MAXLEN', '~', ARGV[1], '*', 'eventId', ARGV[3], 'event', ARGV[4])
+redis.call('EXPIRE', KEYS[1], ARGV[2])
+redis.call('SET', KEYS[2], id, 'EX', ARGV[2])
+return id
+`;
+
+const STREAM_ID_PATTERN = /^\d+-\d+$/;
+
+class EventHistory {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.maxLength = options.maxLength || 100;
+    this.ttlSeconds = options.ttlSeconds || 3600;
+    this.keyPrefix = options.keyPrefix || 'sse:history';
+
+    this.redis.defineCommand('appendEventHistory', {
+      numberOfKeys: 2,
+      lua: APPEND_SCRIPT
+    });
+  }
+
+  // Hash tag keeps a client's stream and index keys in the same cluster slot
+  streamKey(clientName) {
+    return `${this.keyPrefix}:{${clientName}}`;
+  }
+
+  indexKey(clientName, eventId) {
+    return `${this.keyPrefix}:{${clientName}}:id:${eventId}`;
+  }
+
+  /**
+   * Append an event to the client's history
+   * Returns the stream id (the same on every pod for a given eventId)
+   */
+  async append(event) {
+    const { clientName, eventId } = event;
+
+    return this.redis.appendEventHistory(
+      this.streamKey(clientName),
+      this.indexKey(clientName, eventId),
+      this.maxLength,
+      this.ttlSeconds,
+      eventId,
+      JSON.stringify(event)
+    );
+  }
+
+  /**
+   * Resolve a Last-Event-ID (eventId or raw stream id) to a stream position
+   */
+  async resolve(clientName, lastEventId) {
+    if (STREAM_ID_PATTERN.test(lastEventId)) {
+      return lastEventId;
+    }
+    return this.redis.get(this.indexKey(clientName, lastEventId));
+  }
+
+  /**
+   * Get every retained event newer than lastEventId, oldest first
+   */
+  async replay(clientName, lastEventId) {
+    const streamId = await this.resolve(clientName, lastEventId);
+
+    if (!streamId) {
+      log.info('Last-Event-ID no longer in history - nothing to replay', { clientName, lastEventId });
+      return [];
+    }
+
+    const entries = await this.redis.xrange(this.streamKey(clientName), `(${streamId}`, '+', 'COUNT', this.maxLength);
+    const events = [];
+
+    for (const [, fields] of entries) {
+      // fields is a flat [name, value, name, value] list
+      const eventIndex = fields.findIndex((field, i) => i % 2 === 0 && field === 'event');
+      try {
+        events.push(JSON.parse(fields[eventIndex + 1]));
+      } catch (err) {
+        log.warn('Skipping unreadable history entry', { clientName, error: err.message });
+      }
+    }
+
+    log.info(`Replaying ${events.length} event(s)`, { clientName, lastEventId });
+    return events;
+  }
+}
+
+module.exports = EventHistory;
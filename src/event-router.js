@@ -0,0 +1,148 @@
+/**
+ * Event Router
+ * Publishes an event straight to the channels of the pods that hold the
+ * client's sessions, falling back to the shared channel when none is known
+ */
+
+function podChannel(channel, podName) {
+  return `${channel}:pod:${podName}`;
+}
+
+class EventRouter {
+  constructor(redis, presence, options = {}) {
+    this.redis = redis;
+    this.presence = presence;
+    this.channel = options.channel || 'events-to-store';
+    // 'broadcast' always uses the shared channel
+    this.mode = options.mode || 'targeted';
+    // SPUBLISH when the pods use sharded pub/sub (cluster mode)
+    this.sharded = Boolean(options.sharded);
+  }
+
+  send(channel, message) {
+    return this.sharded ? this.redis.spublish(channel, message) : this.redis.publish(channel, message);
+  }
+
+  /**
+   * Pick the channels for an event - one per pod holding a session (fan-out)
+   * Returns [{ channel, podName }] - empty when no pod holds the client
+   */
+  async resolve(clientName) {
+    const pods = await this.presence.getPods(clientName);
+    return pods.map((podName) => ({ channel: podChannel(this.channel, podName), podName }));
+  }
+
+  /**
+   * Publish an event to its owning pods (or the shared channel)
+   * Returns { channel, podName, subscribers } - channel and podName are
+   * comma-separated when the client has sessions on several pods
+   */
+  async publish(event) {
+    // Pattern, group and broadcast events can match clients on any pod
+    if (this.mode === 'broadcast' || event.clientName === undefined) {
+      return this.publishShared(event);
+    }
+
+    const targets = await this.resolve(event.clientName);
+    if (targets.length === 0) {
+      return this.publishShared(event);
+    }
+
+    const message = JSON.stringify(event);
+    const counts = await Promise.all(targets.map((target) => this.send(target.channel, message)));
+
+    // An owner went away between lookup and publish - let every pod decide
+    // (pods that already delivered it drop the duplicate by eventId)
+    if (counts.some((count) => count === 0)) {
+      return this.publishShared(event);
+    }
+
+    return {
+      channel: targets.map((target) => target.channel).join(','),
+      podName: targets.map((target) => target.podName).join(','),
+      subscribers: counts.reduce((total, count) => total + count, 0)
+    };
+  }
+
+  /**
+   * Publish several events, pipelining the sends into one round trip
+   * Returns one { channel, podName, subscribers } per event, in order
+   */
+  async publishBatch(events) {
+    // One presence lookup per client, however many events it gets
+    const lookups = new Map();
+    const targetsOf = (event) => {
+      if (this.mode === 'broadcast' || event.clientName === undefined) {
+        return [];
+      }
+      if (!lookups.has(event.clientName)) {
+        lookups.set(event.clientName, this.resolve(event.clientName));
+      }
+      return lookups.get(event.clientName);
+    };
+
+    const plans = await Promise.all(events.map(async (event) => ({
+      event,
+      message: JSON.stringify(event),
+      targets: await targetsOf(event)
+    })));
+
+    const sends = [];
+    for (const plan of plans) {
+      const channels = plan.targets.length > 0 ? plan.targets.map((target) => target.channel) : [this.channel];
+      plan.sends = channels.map((channel) => sends.push({ channel, message: plan.message }) - 1);
+    }
+
+    const counts = await this.sendAll(sends);
+
+    return Promise.all(plans.map((plan) => {
+      const planCounts = plan.sends.map((index) => counts[index]);
+
+      if (plan.targets.length === 0) {
+        return { channel: this.channel, podName: null, subscribers: planCounts[0] };
+      }
+      // Same fallback as publish() when an owner went away
+      if (planCounts.some((count) => count === 0)) {
+        return this.publishShared(plan.event);
+      }
+      return {
+        channel: plan.targets.map((target) => target.channel).join(','),
+        podName: plan.targets.map((target) => target.podName).join(','),
+        subscribers: planCounts.reduce((total, count) => total + count, 0)
+      };
+    }));
+  }
+
+  /**
+   * Send [{ channel, message }] and return the subscriber counts in order
+   * A cluster cannot pipeline across slots, so there the sends go out concurrently
+   */
+  async sendAll(sends) {
+    if (this.redis.isCluster) {
+      return Promise.all(sends.map(({ channel, message }) => this.send(channel, message)));
+    }
+
+    const pipeline = this.redis.pipeline();
+    for (const { channel, message } of sends) {
+      pipeline.publish(channel, message);
+    }
+
+    const results = await pipeline.exec();
+    return results.map(([err, count]) => {
+      if (err) {
+        throw err;
+      }
+      return count;
+    });
+  }
+
+  /**
+   * Publish on the shared channel every pod listens to
+   */
+  async publishShared(event) {
+    const subscribers = await this.send(this.channel, JSON.stringify(event));
+    return { channel: this.channel, podName: null, subscribers };
+  }
+}
+
+module.exports = { EventRouter, podChannel };
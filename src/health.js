@@ -0,0 +1,66 @@
+/**
+ * Health
+ * Liveness and readiness built from the Redis subscriber, the command client and drain state
+ *   healthy   - everything works
+ *   degraded  - live events still flow, but the command client (history, presence, acks) is down
+ *   unhealthy - this pod cannot deliver events
+ */
+
+/**
+ * subscriber - RedisSubscriber; redisClient - command client
+ * isDraining - () => boolean
+ * probeMaxAgeMs - the loopback probe must have come back within this long
+ */
+function createHealthCheck({ subscriber, redisClient, isDraining, probeMaxAgeMs }) {
+  /**
+   * Liveness only fails when restarting the process is the fix:
+   * the subscriber gave up reconnecting and will never deliver again
+   */
+  function liveness() {
+    const { state } = subscriber.getStatus();
+    const checks = {
+      subscriber: { ok: state !== 'gave_up', state }
+    };
+
+    return {
+      status: checks.subscriber.ok ? 'healthy' : 'unhealthy',
+      checks
+    };
+  }
+
+  /**
+   * Readiness - should this pod receive clients right now
+   */
+  function readiness() {
+    const status = subscriber.getStatus();
+    const probeAgeMs = status.probeAgeMs;
+    const commandClientOk = redisClient.status === 'ready';
+    // No probe yet means it has not completed its first round trip
+    const probeFresh = probeAgeMs !== null && probeAgeMs <= probeMaxAgeMs;
+    const checks = {
+      draining: { ok: !isDraining() },
+      subscription: { ok: status.subscribed, state: status.state, channels: status.channels },
+      // The probe is published on the command client - while that is down it cannot run,
+      // so a stale probe says nothing about the subscription (degraded, not unhealthy)
+      probe: {
+        ok: !subscriber.publisher || probeFresh || !commandClientOk,
+        ageMs: probeAgeMs,
+        skipped: Boolean(subscriber.publisher) && !probeFresh && !commandClientOk
+      },
+      commandClient: { ok: commandClientOk, state: redisClient.status }
+    };
+
+    let overall = 'healthy';
+    if (!checks.draining.ok || !checks.subscription.ok || !checks.probe.ok) {
+      overall = 'unhealthy';
+    } else if (!checks.commandClient.ok) {
+      overall = 'degraded';
+    }
+
+    return { status: overall, checks };
+  }
+
+  return { liveness, readiness };
+}
+
+module.exports = { createHealthCheck };
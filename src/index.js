@@ -4,40 +4,300 @@
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const path = require('path');
 const connectionRegistry = require('./connection-registry');
 const RedisSubscriber = require('./redis-subscriber');
+const EventHistory = require('./event-history');
+const ClusterPresence = require('./cluster-presence');
+const OfflineMailbox = require('./offline-mailbox');
+const { EventRouter } = require('./event-router');
+const { AckTracker } = require('./ack-tracker');
+const { ReplyPublisher, validateReply } = require('./reply-publisher');
+const { issueToken, verifyToken, extractToken, verifyDeviceKey, TokenError } = require('./auth-tokens');
+const { createAdminAuth, parseApiKeys } = require('./admin-auth');
+const { createSessionPolicy, parseSessionPolicies } = require('./session-policy');
+const { createHealthCheck } = require('./health');
+const { SseTransport, PollTransport, decodeCursor } = require('./transports');
+const { createWebSocketGateway } = require('./websocket-gateway');
+const { validateEnvelope, validateGroups, createEnvelope, getTarget, CLIENT_NAME_PATTERN } = require('./event-envelope');
+const SchemaValidator = require('./schema-validator');
+const DeadLetterQueue = require('./dead-letter');
+const metrics = require('./metrics');
+const { createRedisClient, closeConnection } = require('./redis-client');
+const { loadRedisConfig, describeRedisConfig, isSharded } = require('./redis-config');
+const { formatEvent, formatComment } = require('./sse-format');
+const { parseFilters } = require('./event-filters');
+const { createLogger } = require('./logger');
 
 // Configuration
 const PORT = process.env.PORT || 3000;
 const POD_NAME = process.env.POD_NAME || 'local-pod';
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const SSE_RETRY_MS = parseInt(process.env.SSE_RETRY_MS) || 3000;
+const PUBLISH_BATCH_LIMIT = parseInt(process.env.PUBLISH_BATCH_LIMIT) || 100;
+// Optional /ws/:clientName endpoint next to the SSE stream
+const WEBSOCKET_ENABLED = process.env.WEBSOCKET_ENABLED === 'true';
 
+// Long polling: longest a poll is held, how long a session survives between polls, events per batch
+const pollConfig = {
+  timeoutMs: (parseInt(process.env.POLL_TIMEOUT_SECONDS) || 25) * 1000,
+  idleMs: (parseInt(process.env.POLL_IDLE_SECONDS) || 60) * 1000,
+  maxBatch: parseInt(process.env.POLL_MAX_BATCH) || 100
+};
+// Graceful drain on SIGTERM: hand-offs are spread over the window, exit at the deadline
+const DRAIN_WINDOW_MS = parseInt(process.env.DRAIN_WINDOW_MS) || 15000;
+const DRAIN_DEADLINE_MS = parseInt(process.env.DRAIN_DEADLINE_MS) || 25000;
+// Redis gets at least this long to close after the drain, even past the deadline
+const SHUTDOWN_CLOSE_MIN_MS = 1000;
+
+const log = createLogger('SERVER');
+const sseLog = createLogger('SSE');
+const authLog = createLogger('AUTH');
+const registryLog = createLogger('REGISTRY');
+const publishLog = createLogger('PUBLISH');
+const adminLog = createLogger('ADMIN');
+
+const tokenConfig = {
+  secret: process.env.TOKEN_SECRET,
+  ttlSeconds: parseInt(process.env.TOKEN_TTL_SECONDS) || 3600,
+  // Devices register with a key derived from this (see POST /register)
+  provisioningSecret: process.env.PROVISIONING_SECRET
+};
+
+// Every pod must share the secret; a random one only works for a single local pod
+if (!tokenConfig.secret) {
+  if (NODE_ENV === 'production') {
+    log.error('TOKEN_SECRET is required in production');
+    process.exit(1);
+  }
+  tokenConfig.secret = crypto.randomBytes(32).toString('hex');
+  log.warn('TOKEN_SECRET not set - using a random per-process secret (development only)');
+}
+
+// Connection settings (mode, auth, TLS, Sentinel, Cluster) - see redis-config.js
 const redisConfig = {
-  host: process.env.REDIS_HOST || 'localhost',
-  port: parseInt(process.env.REDIS_PORT) || 6379,
-  channel: process.env.REDIS_CHANNEL || 'events-to-store'
+  ...loadRedisConfig(),
+  channel: process.env.REDIS_CHANNEL || 'events-to-store',
+  controlChannel: process.env.REDIS_CONTROL_CHANNEL,
+  routingMode: process.env.ROUTING_MODE || 'broadcast',
+  // 0 = keep reconnecting forever
+  maxReconnectAttempts: parseInt(process.env.REDIS_MAX_RECONNECT_ATTEMPTS) || 0,
+  maxReconnectDelayMs: parseInt(process.env.REDIS_MAX_RECONNECT_DELAY_MS) || 10000,
+  probeIntervalMs: parseInt(process.env.REDIS_PROBE_INTERVAL_MS) || 10000
+};
+
+const historyConfig = {
+  maxLength: parseInt(process.env.EVENT_HISTORY_MAX_LENGTH) || 100,
+  ttlSeconds: parseInt(process.env.EVENT_HISTORY_TTL_SECONDS) || 3600
 };
 
+const presenceConfig = {
+  ttlSeconds: parseInt(process.env.PRESENCE_TTL_SECONDS) || 90
+};
+
+const ackConfig = {
+  resultsChannel: process.env.ACK_RESULTS_CHANNEL || 'event-results',
+  maxDeliveries: parseInt(process.env.ACK_MAX_DELIVERIES) || 4,
+  retryBaseMs: parseInt(process.env.ACK_RETRY_BASE_MS) || 5000,
+  retryMaxMs: parseInt(process.env.ACK_RETRY_MAX_MS) || 60000,
+  defaultTimeoutSeconds: parseInt(process.env.ACK_TIMEOUT_SECONDS) || 120,
+  sweepIntervalMs: parseInt(process.env.ACK_SWEEP_INTERVAL_MS) || 1000
+};
+
+const replyConfig = {
+  channel: process.env.REPLY_CHANNEL || 'events-from-store'
+};
+
+const schemaConfig = {
+  dir: process.env.SCHEMAS_DIR || path.join(__dirname, 'schemas'),
+  unknownActions: process.env.SCHEMA_UNKNOWN_ACTIONS || 'allow'
+};
+
+const deadLetterConfig = {
+  streamKey: process.env.DEAD_LETTER_STREAM || 'sse:dead-letter',
+  channel: process.env.DEAD_LETTER_CHANNEL || 'events-dead-letter',
+  maxLength: parseInt(process.env.DEAD_LETTER_MAX_LENGTH) || 10000
+};
+
+const mailboxConfig = {
+  ttlSeconds: parseInt(process.env.MAILBOX_TTL_SECONDS) || 86400,
+  maxDepth: parseInt(process.env.MAILBOX_MAX_DEPTH) || 100
+};
+
+const sendQueueConfig = {
+  maxEvents: parseInt(process.env.SEND_QUEUE_MAX_EVENTS) || 1000,
+  maxBytes: parseInt(process.env.SEND_QUEUE_MAX_BYTES) || 1024 * 1024,
+  policy: process.env.SEND_QUEUE_POLICY || 'drop-oldest',
+  stallSeconds: parseInt(process.env.SEND_QUEUE_STALL_SECONDS ?? 60) || 0
+};
+
+// evict-old, reject-new or fan-out, optionally per clientName prefix
+const sessionPolicy = createSessionPolicy({
+  defaultPolicy: process.env.SESSION_POLICY || 'evict-old',
+  rules: parseSessionPolicies(process.env.SESSION_POLICY_PREFIXES)
+});
+
 // Initialize Express app
 const app = express();
 app.use(express.json());
 
+// Initialize Redis command client and the stores built on it
+const redisClient = createRedisClient({ ...redisConfig, podName: POD_NAME });
+const eventHistory = new EventHistory(redisClient, historyConfig);
+const clusterPresence = new ClusterPresence(redisClient, presenceConfig);
+const offlineMailbox = new OfflineMailbox(redisClient, clusterPresence, mailboxConfig);
+
+const eventRouter = new EventRouter(redisClient, clusterPresence, {
+  channel: redisConfig.channel,
+  mode: redisConfig.routingMode,
+  sharded: isSharded(redisConfig)
+});
+const ackTracker = new AckTracker(redisClient, {
+  ...ackConfig,
+  presence: clusterPresence,
+  // Redeliveries for clients held by other pods go over the control channel
+  sendControl: (command) => redisSubscriber.sendControl(command)
+});
+const replyPublisher = new ReplyPublisher(redisClient, replyConfig);
+const schemaValidator = new SchemaValidator(schemaConfig).load();
+const deadLetters = new DeadLetterQueue(redisClient, deadLetterConfig);
+
+connectionRegistry.configure({
+  presence: clusterPresence,
+  mailbox: offlineMailbox,
+  ackTracker,
+  sendQueue: sendQueueConfig,
+  sessionPolicy
+});
+
 // Initialize Redis subscriber
-const redisSubscriber = new RedisSubscriber({ ...redisConfig, podName: POD_NAME });
+const redisSubscriber = new RedisSubscriber({
+  ...redisConfig,
+  podName: POD_NAME,
+  eventHistory,
+  offlineMailbox,
+  router: eventRouter,
+  publisher: redisClient,
+  schemaValidator,
+  deadLetters
+});
+
+const healthCheck = createHealthCheck({
+  subscriber: redisSubscriber,
+  redisClient,
+  isDraining: () => draining,
+  // Allow a couple of lost probes before failing readiness
+  probeMaxAgeMs: redisConfig.probeIntervalMs * 3
+});
+
+const websocketGateway = WEBSOCKET_ENABLED
+  ? createWebSocketGateway({
+    tokenSecret: tokenConfig.secret,
+    podName: POD_NAME,
+    eventHistory,
+    ackTracker,
+    replyPublisher,
+    isDraining: () => draining,
+    retryMs: SSE_RETRY_MS
+  })
+  : null;
+
+/**
+ * Require a valid registration token for :clientName
+ * Missing, malformed or expired tokens get 401, a token for another client 403
+ */
+function requireClientToken(req, res, next) {
+  const { clientName } = req.params;
+
+  try {
+    const claims = verifyToken(extractToken(req), tokenConfig.secret);
+
+    if (claims.sub !== clientName) {
+      authLog.warn('Token presented for another client', { clientName, subject: claims.sub });
+      return res.status(403).json({
+        error: 'Token was not issued for this client',
+        success: false
+      });
+    }
+
+    req.tokenClaims = claims;
+    next();
+  } catch (err) {
+    if (!(err instanceof TokenError)) {
+      return next(err);
+    }
+
+    authLog.warn('Rejected token', { clientName, code: err.code });
+    res.setHeader('WWW-Authenticate', `Bearer error="invalid_token", error_description="${err.message}"`);
+    res.status(401).json({
+      error: err.message,
+      code: err.code,
+      success: false
+    });
+  }
+}
+
+// Admin API keys - without any, admin routes are only open outside production
+const adminKeys = parseApiKeys(process.env.ADMIN_API_KEYS);
+const adminAuth = createAdminAuth({ keys: adminKeys, allowAnonymous: NODE_ENV !== 'production' });
+
+if (adminKeys.length === 0) {
+  log.warn(`ADMIN_API_KEYS not set - admin routes are ${NODE_ENV === 'production' ? 'disabled' : 'open (development only)'}`);
+}
+
+// Publish API keys ("name:key" entries) for backends
+const publishKeys = parseApiKeys(process.env.PUBLISH_API_KEYS, 'operator');
+const publishAuth = createAdminAuth({
+  keys: publishKeys,
+  allowAnonymous: NODE_ENV !== 'production',
+  realm: 'SSE Publish'
+});
+
+if (!tokenConfig.provisioningSecret && publishKeys.length === 0) {
+  log.warn(`Neither PROVISIONING_SECRET nor PUBLISH_API_KEYS set - registration is ${NODE_ENV === 'production' ? 'disabled' : 'open (development only)'}`);
+}
+
+/**
+ * Who may get a token for req.body.clientName:
+ *   the device itself - X-Device-Key derived from PROVISIONING_SECRET for that clientName
+ *   a backend        - a publish API key, registering on the device's behalf
+ */
+function requireProvisioning(req, res, next) {
+  const deviceKey = req.get('X-Device-Key');
+  if (!deviceKey) {
+    return publishAuth.authenticate(req, res, next);
+  }
+
+  const { clientName } = req.body || {};
+  if (!tokenConfig.provisioningSecret || !verifyDeviceKey(String(clientName), deviceKey, tokenConfig.provisioningSecret)) {
+    authLog.warn('Rejected device key', { clientName });
+    return res.status(401).json({
+      error: 'Device key is not valid for this client',
+      success: false
+    });
+  }
+
+  req.adminUser = { name: `device:${clientName}`, role: 'device' };
+  next();
+}
 
 // Server start time
 const serverStartTime = new Date();
 let server;
+let draining = false;
 
 /**
  * POST /register
  * Client registration endpoint
  * Validates client name before allowing SSE connection
+ * Requires X-Device-Key (the device's own provisioning key) or a publish API key
+ * (a backend registering on the device's behalf and handing it the token)
+ * Body: { clientName, groups? } - groups the client joins for group-addressed events
  */
-app.post('/register', (req, res) => {
-  const { clientName } = req.body;
+app.post('/register', requireProvisioning, (req, res) => {
+  const { clientName, groups = [] } = req.body;
 
   if (!clientName) {
     return res.status(400).json({ 
@@ -47,32 +307,108 @@ app.post('/register', (req, res) => {
   }
 
   // Validate client name format
-  if (!/^[a-zA-Z0-9_-]+$/.test(clientName)) {
+  if (!CLIENT_NAME_PATTERN.test(clientName)) {
     return res.status(400).json({ 
       error: 'clientName must contain only alphanumeric characters, underscores, and hyphens',
       success: false 
     });
   }
 
-  console.log(`[REGISTRY][${POD_NAME}] Registration request received for ${clientName} (no state stored; actual registration happens on SSE connect)`);
+  const groupErrors = validateGroups(groups);
+  if (groupErrors.length > 0) {
+    return res.status(400).json({
+      error: groupErrors[0],
+      success: false
+    });
+  }
+
+  const { token, expiresAt } = issueToken(clientName, { ...tokenConfig, groups });
+
+  registryLog.info('Issued registration token (actual registration happens on SSE connect)', { clientName, groups, by: req.adminUser.name });
 
   res.json({
     success: true,
     clientName,
+    groups,
     podName: POD_NAME,
-    message: `Client ${clientName} registered. Connect to /events/${clientName} for SSE stream`,
+    token,
+    expiresAt: new Date(expiresAt).toISOString(),
+    message: `Client ${clientName} registered. Connect to /events/${clientName}?token=<token> for SSE stream`,
     timestamp: new Date().toISOString()
   });
 });
 
+/**
+ * POST /events/:clientName/token
+ * Exchange a still-valid token for a fresh one and keep the open stream alive
+ */
+app.post('/events/:clientName/token', requireClientToken, async (req, res, next) => {
+  const { clientName } = req.params;
+
+  try {
+    const { token, expiresAt } = issueToken(clientName, { ...tokenConfig, groups: req.tokenClaims.groups });
+    await connectionRegistry.extendToken(clientName, expiresAt);
+
+    registryLog.info('Refreshed token', { clientName });
+
+    res.json({
+      success: true,
+      clientName,
+      token,
+      expiresAt: new Date(expiresAt).toISOString(),
+      podName: POD_NAME,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /events/:clientName
  * SSE endpoint - establishes persistent connection
+ * Requires the token from /register (?token= or Authorization: Bearer)
+ * Honours Last-Event-ID (or ?lastEventId=) by replaying missed events first
+ * Optional filters: ?actions=receipt,alert&minSeverity=warning
  */
-app.get('/events/:clientName', (req, res) => {
+app.get('/events/:clientName', requireClientToken, async (req, res, next) => {
   const { clientName } = req.params;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const { filters, errors: filterErrors } = parseFilters(req.query);
+
+  sseLog.info('New SSE connection request', { clientName, lastEventId, filters });
 
-  console.log(`[SSE][${POD_NAME}] New SSE connection request for ${clientName}`);
+  // Shutting down - the client should land on another pod
+  if (draining) {
+    res.setHeader('Retry-After', '1');
+    return res.status(503).json({
+      error: 'Pod is draining',
+      podName: POD_NAME,
+      success: false
+    });
+  }
+
+  if (filterErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid filters',
+      details: filterErrors,
+      success: false
+    });
+  }
+
+  try {
+    if (!(await connectionRegistry.admit(clientName))) {
+      sseLog.warn('Rejected connection: client already has an open stream', { clientName });
+      return res.status(409).json({
+        error: 'Client already has an open stream',
+        clientName,
+        podName: POD_NAME,
+        success: false
+      });
+    }
+  } catch (err) {
+    return next(err);
+  }
 
   // Set SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
@@ -83,35 +419,437 @@ app.get('/events/:clientName', (req, res) => {
   // Enable CORS for development
   res.setHeader('Access-Control-Allow-Origin', '*');
 
+  // Session id authenticates the client's upstream requests while this stream is open
+  const sessionId = crypto.randomUUID();
+
   // Send initial connection confirmation
   try {
-    res.write(`: Connected to ${POD_NAME}\n\n`);
-    res.write(`data: ${JSON.stringify({
-      type: 'connected',
-      clientName,
-      podName: POD_NAME,
-      timestamp: new Date().toISOString(),
-      message: 'SSE connection established'
-    })}\n\n`);
+    res.write(formatComment(`Connected to ${POD_NAME}`));
+    res.write(formatEvent({
+      event: 'connected',
+      retry: SSE_RETRY_MS,
+      data: {
+        type: 'connected',
+        clientName,
+        podName: POD_NAME,
+        sessionId,
+        filters,
+        timestamp: new Date().toISOString(),
+        message: 'SSE connection established'
+      }
+    }));
   } catch (err) {
-    console.log(`[SSE] Error sending initial message to ${clientName}:`, err.message);
+    sseLog.error('Error sending initial message', { clientName, error: err.message });
     return;
   }
 
   // Register connection
-  connectionRegistry.register(clientName, res, POD_NAME);
+  const connection = connectionRegistry.register(clientName, new SseTransport(res), POD_NAME, {
+    sessionId,
+    tokenExpiresAt: req.tokenClaims.exp * 1000,
+    groups: req.tokenClaims.groups,
+    filters
+  });
+
+  if (lastEventId) {
+    connection.beginReplay();
+    eventHistory.replay(clientName, lastEventId)
+      .then((events) => connection.finishReplay(events))
+      .catch((err) => {
+        sseLog.error('Replay failed', { clientName, lastEventId, error: err.message });
+        connection.finishReplay([]);
+      });
+  }
+});
+
+/**
+ * GET /poll/:clientName
+ * Long-poll fallback for clients behind proxies that buffer streams
+ * Held until events arrive or ?timeout= seconds (capped by POLL_TIMEOUT_SECONDS) pass,
+ * then returns { sessionId, events, cursor }. The next poll sends both back
+ * (?session= or X-Session-Id, ?cursor=); events stay pending until a cursor confirms them.
+ * A poll for an unknown session opens a new one, replaying history after the cursor.
+ * Optional filters on the first poll: ?actions=receipt,alert&minSeverity=warning
+ */
+app.get('/poll/:clientName', requireClientToken, async (req, res, next) => {
+  const { clientName } = req.params;
+  const sessionId = req.get('X-Session-Id') || req.query.session;
+
+  if (draining) {
+    res.setHeader('Retry-After', '1');
+    return res.status(503).json({
+      error: 'Pod is draining',
+      podName: POD_NAME,
+      success: false
+    });
+  }
+
+  let cursor;
+  try {
+    cursor = decodeCursor(req.query.cursor);
+  } catch (err) {
+    return res.status(400).json({
+      error: 'Invalid cursor',
+      success: false
+    });
+  }
+
+  const requested = parseInt(req.query.timeout) * 1000;
+  const timeoutMs = requested >= 0 ? Math.min(requested, pollConfig.timeoutMs) : pollConfig.timeoutMs;
+  const tokenExpiresAt = req.tokenClaims.exp * 1000;
+
+  let connection = sessionId ? connectionRegistry.findBySessionId(clientName, sessionId) : null;
+  if (connection && connection.transport.type !== 'poll') {
+    return res.status(409).json({
+      error: 'Session belongs to a streaming connection',
+      success: false
+    });
+  }
+
+  if (!connection) {
+    const { filters, errors: filterErrors } = parseFilters(req.query);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid filters',
+        details: filterErrors,
+        success: false
+      });
+    }
+
+    try {
+      if (!(await connectionRegistry.admit(clientName))) {
+        sseLog.warn('Rejected poll session: client already has an open stream', { clientName });
+        return res.status(409).json({
+          error: 'Client already has an open stream',
+          clientName,
+          podName: POD_NAME,
+          success: false
+        });
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    connection = connectionRegistry.register(clientName, new PollTransport(pollConfig), POD_NAME, {
+      tokenExpiresAt,
+      groups: req.tokenClaims.groups,
+      filters
+    });
+    sseLog.info('New poll session', { clientName, session: connection.id, resumeFrom: cursor && cursor.eventId, filters });
+
+    // The previous session was on another pod or timed out - resume from history
+    if (cursor && cursor.eventId) {
+      connection.beginReplay();
+      eventHistory.replay(clientName, cursor.eventId)
+        .then((events) => connection.finishReplay(events))
+        .catch((err) => {
+          sseLog.error('Replay failed', { clientName, lastEventId: cursor.eventId, error: err.message });
+          connection.finishReplay([]);
+        });
+    }
+  } else if (tokenExpiresAt > connection.tokenExpiresAt) {
+    connection.extendToken(tokenExpiresAt);
+  }
+
+  connection.updateActivity();
+  res.setHeader('Cache-Control', 'no-store');
+  connection.transport.poll(res, {
+    cursor,
+    timeoutMs,
+    meta: { clientName, sessionId: connection.sessionId, podName: POD_NAME }
+  });
+});
+
+/**
+ * POST /events/:clientName/ack
+ * Acknowledge one or more requiresAck events
+ * Requires the client's token and the X-Session-Id header of one of its open streams
+ * Body: { eventId } or { eventIds: [...] }
+ */
+app.post('/events/:clientName/ack', requireClientToken, async (req, res, next) => {
+  const { clientName } = req.params;
+  const sessionId = req.get('X-Session-Id');
+  const { eventId, eventIds } = req.body || {};
+  const ids = Array.isArray(eventIds) ? eventIds : (eventId ? [eventId] : []);
+
+  if (!sessionId) {
+    return res.status(401).json({
+      error: 'X-Session-Id header is required',
+      success: false
+    });
+  }
+
+  if (ids.length === 0 || !ids.every((id) => typeof id === 'string' && id.length > 0)) {
+    return res.status(400).json({
+      error: 'eventId or a non-empty eventIds array of strings is required',
+      success: false
+    });
+  }
+
+  try {
+    // An ack tells the backend the prompt was shown - only the client's own streams may send one
+    const authorized = Boolean(connectionRegistry.findBySessionId(clientName, sessionId)) ||
+      await clusterPresence.verifySession(clientName, sessionId);
+
+    if (!authorized) {
+      return res.status(403).json({
+        error: 'Session does not match an open stream for this client',
+        success: false
+      });
+    }
+
+    const { acknowledged, unknown } = await ackTracker.acknowledge(clientName, ids);
+
+    res.json({
+      success: true,
+      clientName,
+      acknowledged,
+      unknown,
+      podName: POD_NAME,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /events/:clientName/messages
+ * Upstream message from a client to its backend via the Redis reply channel
+ * Requires the client's token and the X-Session-Id header of one of its open streams
+ * Body: { type, eventId?, data }
+ */
+app.post('/events/:clientName/messages', requireClientToken, async (req, res, next) => {
+  const { clientName } = req.params;
+  const sessionId = req.get('X-Session-Id');
+
+  if (!sessionId) {
+    return res.status(401).json({
+      error: 'X-Session-Id header is required',
+      success: false
+    });
+  }
+
+  const errors = validateReply(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid message',
+      details: errors,
+      success: false
+    });
+  }
+
+  try {
+    // The session may belong to another of the client's streams on a different pod
+    const authorized = Boolean(connectionRegistry.findBySessionId(clientName, sessionId)) ||
+      await clusterPresence.verifySession(clientName, sessionId);
+
+    if (!authorized) {
+      return res.status(403).json({
+        error: 'Session does not match an open stream for this client',
+        success: false
+      });
+    }
+
+    const { message, subscribers } = await replyPublisher.publish(clientName, req.body);
+
+    res.status(202).json({
+      success: true,
+      messageId: message.messageId,
+      clientName,
+      eventId: message.eventId,
+      subscribers,
+      podName: POD_NAME,
+      timestamp: message.timestamp
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /events/:clientName/filters
+ * Change the subscription filters of an open stream without reconnecting
+ * Requires the client's token and the X-Session-Id header of that stream
+ * Body: { actions?, minSeverity? } - omitted or empty values clear a filter
+ */
+app.put('/events/:clientName/filters', requireClientToken, async (req, res, next) => {
+  const { clientName } = req.params;
+  const sessionId = req.get('X-Session-Id');
+
+  if (!sessionId) {
+    return res.status(401).json({
+      error: 'X-Session-Id header is required',
+      success: false
+    });
+  }
+
+  const { filters, errors } = parseFilters(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid filters',
+      details: errors,
+      success: false
+    });
+  }
+
+  try {
+    const local = connectionRegistry.findBySessionId(clientName, sessionId);
+
+    if (local) {
+      local.setFilters(filters);
+    } else if (await clusterPresence.verifySession(clientName, sessionId)) {
+      // The stream is on another pod - let it apply the change
+      await redisSubscriber.sendControl({
+        type: 'filters',
+        clientName,
+        sessionId,
+        filters
+      });
+    } else {
+      return res.status(403).json({
+        error: 'Session does not match an open stream for this client',
+        success: false
+      });
+    }
+
+    res.status(local ? 200 : 202).json({
+      success: true,
+      clientName,
+      filters,
+      podName: POD_NAME,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Envelope and per-action payload checks for the publish API
+ */
+function validateEvent(event) {
+  const errors = validateEnvelope(event);
+  if (errors.length > 0) {
+    return errors;
+  }
+  return schemaValidator.validate(event).errors;
+}
+
+/**
+ * Publish one validated envelope through the Redis routing path
+ */
+async function publishEnvelope(input) {
+  const event = createEnvelope(input);
+  const { channel, subscribers } = await eventRouter.publish(event);
+  const { type, value } = getTarget(event);
+
+  publishLog.info('Published event', {
+    clientName: event.clientName,
+    target: type === 'client' ? undefined : `${type}:${value}`,
+    eventId: event.eventId,
+    action: event.action,
+    channel,
+    subscribers
+  });
+  return {
+    eventId: event.eventId,
+    clientName: event.clientName,
+    target: { type, value },
+    timestamp: event.timestamp,
+    channel,
+    subscribers
+  };
+}
+
+/**
+ * POST /publish
+ * Publish a single event for a client, or a group with clientPattern, group or broadcast
+ * Body: { clientName, action, data, eventId?, timestamp? }
+ */
+app.post('/publish', publishAuth.authenticate, async (req, res, next) => {
+  const errors = validateEvent(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid event',
+      details: errors,
+      success: false
+    });
+  }
+
+  try {
+    const result = await publishEnvelope(req.body);
+
+    res.status(202).json({
+      success: true,
+      ...result,
+      podName: POD_NAME
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /publish/batch
+ * Publish several events; nothing is published unless every event is valid
+ * Body: { events: [...] }
+ */
+app.post('/publish/batch', publishAuth.authenticate, async (req, res, next) => {
+  const { events } = req.body || {};
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return res.status(400).json({
+      error: 'events must be a non-empty array',
+      success: false
+    });
+  }
+
+  if (events.length > PUBLISH_BATCH_LIMIT) {
+    return res.status(413).json({
+      error: `A batch may contain at most ${PUBLISH_BATCH_LIMIT} events`,
+      success: false
+    });
+  }
+
+  const invalid = events
+    .map((event, index) => ({ index, details: validateEvent(event) }))
+    .filter((result) => result.details.length > 0);
+
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid events in batch',
+      invalid,
+      success: false
+    });
+  }
+
+  try {
+    const results = await Promise.all(events.map(publishEnvelope));
+
+    res.status(202).json({
+      success: true,
+      count: results.length,
+      results,
+      podName: POD_NAME
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
 /**
  * GET /health
- * Health check endpoint with pod statistics
+ * Health check endpoint with pod statistics (status as reported by /readyz)
  */
 app.get('/health', (req, res) => {
   const uptime = Math.floor((Date.now() - serverStartTime.getTime()) / 1000);
   const redisStatus = redisSubscriber.getStatus();
+  const { status, checks } = healthCheck.readiness();
 
-  res.json({
-    status: 'healthy',
+  res.status(status === 'unhealthy' ? 503 : 200).json({
+    status,
+    checks,
     podName: POD_NAME,
     uptime,
     connections: connectionRegistry.count(),
@@ -122,44 +860,246 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * GET /admin/connections
- * List all active connections
+ * GET /livez
+ * Liveness - only fails when the subscriber gave up, so a restart is the fix
  */
-app.get('/admin/connections', (req, res) => {
-  const connections = connectionRegistry.getAll();
+app.get('/livez', (req, res) => {
+  const { status, checks } = healthCheck.liveness();
 
-  res.json({
+  res.status(status === 'unhealthy' ? 503 : 200).json({
+    status,
+    checks,
     podName: POD_NAME,
-    totalConnections: connections.length,
-    connections,
     timestamp: new Date().toISOString()
   });
 });
 
+/**
+ * GET /readyz (and /ready)
+ * Readiness - fails while draining or when the subscription is not delivering,
+ * so the pod leaves the load balancer; degraded still takes traffic
+ */
+function readinessHandler(req, res) {
+  const { status, checks } = healthCheck.readiness();
+
+  res.status(status === 'unhealthy' ? 503 : 200).json({
+    status,
+    checks,
+    podName: POD_NAME,
+    draining,
+    connections: connectionRegistry.count(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+app.get('/readyz', readinessHandler);
+app.get('/ready', readinessHandler);
+
+/**
+ * GET /metrics
+ * Prometheus metrics for this pod
+ */
+app.get('/metrics', async (req, res, next) => {
+  try {
+    res.setHeader('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Admin routes
+ * API key (or Basic auth for the dashboard) required; non-GET needs the operator role
+ */
+app.use('/admin', adminAuth.authenticate);
+
+/**
+ * Count sessions per pod for cluster-wide views
+ */
+function countByPod(connections) {
+  const pods = {};
+  for (const conn of connections) {
+    for (const session of conn.sessions) {
+      pods[session.podName] = (pods[session.podName] || 0) + 1;
+    }
+  }
+  return pods;
+}
+
+/**
+ * GET /admin/connections
+ * List all active connections on this pod, or ?scope=cluster for every pod
+ */
+app.get('/admin/connections', async (req, res, next) => {
+  try {
+    if (req.query.scope === 'cluster') {
+      const connections = await clusterPresence.list();
+
+      return res.json({
+        podName: POD_NAME,
+        scope: 'cluster',
+        totalConnections: connections.length,
+        totalSessions: connections.reduce((total, conn) => total + conn.sessionCount, 0),
+        pods: countByPod(connections),
+        connections,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const connections = connectionRegistry.getAll();
+
+    res.json({
+      podName: POD_NAME,
+      scope: 'pod',
+      totalConnections: connections.length,
+      totalSessions: connectionRegistry.count(),
+      connections,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /admin/client/:clientName
  * Get specific client connection info
  */
-app.get('/admin/client/:clientName', (req, res) => {
+app.get('/admin/client/:clientName', async (req, res, next) => {
   const { clientName } = req.params;
 
-  if (!connectionRegistry.has(clientName)) {
-    return res.status(404).json({
-      error: 'Client not found on this pod',
-      clientName,
-      podName: POD_NAME
+  try {
+    const mailboxDepth = await offlineMailbox.depth(clientName);
+
+    if (connectionRegistry.has(clientName)) {
+      const stats = connectionRegistry.getClientStats(clientName);
+
+      return res.json({
+        found: true,
+        local: true,
+        podName: POD_NAME,
+        heldBy: POD_NAME,
+        client: stats,
+        mailboxDepth,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Not here - ask the cluster which pod holds it
+    const presence = await clusterPresence.get(clientName);
+
+    if (!presence) {
+      return res.status(404).json({
+        error: 'Client not connected to any pod',
+        clientName,
+        podName: POD_NAME,
+        mailboxDepth
+      });
+    }
+
+    res.json({
+      found: true,
+      local: false,
+      podName: POD_NAME,
+      heldBy: presence.podName,
+      client: presence,
+      mailboxDepth,
+      timestamp: new Date().toISOString()
     });
+  } catch (err) {
+    next(err);
   }
+});
 
-  const connection = connectionRegistry.get(clientName);
-  const stats = connection.getStats();
+/**
+ * GET /admin/mailboxes
+ * List offline clients with pending mailbox events
+ */
+app.get('/admin/mailboxes', async (req, res, next) => {
+  try {
+    const mailboxes = await offlineMailbox.listPending();
 
-  res.json({
-    found: true,
-    podName: POD_NAME,
-    client: stats,
-    timestamp: new Date().toISOString()
-  });
+    res.json({
+      podName: POD_NAME,
+      totalMailboxes: mailboxes.length,
+      totalPending: mailboxes.reduce((sum, mailbox) => sum + mailbox.depth, 0),
+      mailboxes,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /admin/dead-letters
+ * Inspect rejected messages, newest first (?count=50)
+ */
+app.get('/admin/dead-letters', async (req, res, next) => {
+  const count = Math.min(parseInt(req.query.count) || 50, 500);
+
+  try {
+    const [total, entries] = await Promise.all([deadLetters.count(), deadLetters.list(count)]);
+
+    res.json({
+      podName: POD_NAME,
+      total,
+      entries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/dead-letters/:id/replay
+ * Publish a dead-lettered message again (operators only)
+ * It is validated again on receipt and lands back here if still invalid
+ */
+app.post('/admin/dead-letters/:id/replay', adminAuth.requireRole('operator'), async (req, res, next) => {
+  try {
+    const entry = await deadLetters.get(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Dead letter not found',
+        id: req.params.id,
+        podName: POD_NAME
+      });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(entry.message);
+    } catch (err) {
+      return res.status(422).json({
+        error: 'Message is not valid JSON and cannot be replayed',
+        id: entry.id,
+        podName: POD_NAME
+      });
+    }
+
+    // The entry stays until the publish succeeded, so a failed replay can be retried
+    await deadLetters.forget(entry);
+    const { channel, subscribers } = event && event.clientName
+      ? await eventRouter.publish(event)
+      : await eventRouter.publishShared(event);
+    await deadLetters.remove(entry);
+
+    adminLog.info('Replayed dead letter', { caller: req.adminUser.name, id: entry.id, channel });
+
+    res.json({
+      success: true,
+      id: entry.id,
+      channel,
+      subscribers,
+      podName: POD_NAME
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
 /**
@@ -170,12 +1110,34 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'test-client.html'));
 });
 
+/**
+ * GET /sdk/sse-client.js
+ * Client SDK for browsers (window.SseRedisClient)
+ */
+app.get('/sdk/sse-client.js', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'client', 'sse-client.js'));
+});
+
 /**
  * GET /admin
- * Admin dashboard - list all connections
+ * Admin dashboard - list all connections (?scope=cluster for every pod)
  */
-app.get('/admin', (req, res) => {
-  const connections = connectionRegistry.getAll();
+app.get('/admin', async (req, res, next) => {
+  const clusterScope = req.query.scope === 'cluster';
+  let connections;
+
+  try {
+    connections = clusterScope
+      ? (await clusterPresence.list()).map((entry) => ({
+        ...entry,
+        isAlive: true,
+        uptime: Math.floor((Date.now() - new Date(entry.connectedAt).getTime()) / 1000)
+      }))
+      : connectionRegistry.getAll();
+  } catch (err) {
+    return next(err);
+  }
+
   const redisStatus = redisSubscriber.getStatus();
 
   const html = `
@@ -262,7 +1224,7 @@ app.get('/admin', (req, res) => {
             <div class="stat-value">${POD_NAME}</div>
         </div>
         <div class="stat">
-            <div class="stat-label">Active Connections:</div>
+            <div class="stat-label">Active Connections (${clusterScope ? 'cluster' : 'this pod'}):</div>
             <div class="stat-value">${connections.length}</div>
         </div>
         <div class="stat">
@@ -278,19 +1240,24 @@ app.get('/admin', (req, res) => {
             <div class="stat-value">${redisStatus.channel}</div>
         </div>
         <button onclick="location.reload()">Refresh</button>
+        <button onclick="location.href='/admin${clusterScope ? '' : '?scope=cluster'}'">
+            ${clusterScope ? 'Show This Pod' : 'Show Cluster'}
+        </button>
     </div>
 
     <div class="connections">
-        <h2>Active Connections</h2>
+        <h2>Active Connections${clusterScope ? ' - Cluster' : ''}</h2>
         ${connections.length === 0 ? '<p>No active connections</p>' : `
         <table>
             <thead>
                 <tr>
                     <th>Client Name</th>
                     <th>Pod</th>
+                    <th>Sessions</th>
                     <th>Connected At</th>
                     <th>Last Activity</th>
                     <th>Events</th>
+                    <th>Queued / Dropped</th>
                     <th>Uptime (s)</th>
                     <th>Status</th>
                 </tr>
@@ -300,9 +1267,11 @@ app.get('/admin', (req, res) => {
                 <tr>
                     <td><strong>${conn.clientName}</strong></td>
                     <td>${conn.podName}</td>
+                    <td title="${conn.sessions.map((session) => `${session.id} @ ${session.podName} (${session.transport})`).join('\n')}">${conn.sessionCount} <small>${conn.transports.join(', ')}</small></td>
                     <td>${new Date(conn.connectedAt).toLocaleTimeString()}</td>
                     <td>${new Date(conn.lastActivity).toLocaleTimeString()}</td>
                     <td>${conn.eventCount}</td>
+                    <td>${conn.queueDepth !== undefined ? `${conn.queueDepth} / ${conn.droppedEvents}` : '-'}</td>
                     <td>${conn.uptime}</td>
                     <td>
                         <span class="badge ${conn.isAlive ? 'badge-success' : 'badge-danger'}">
@@ -342,7 +1311,7 @@ app.use((req, res) => {
  * Error handler
  */
 app.use((err, req, res, next) => {
-  console.log(`[ERROR] ${err.message}`);
+  log.error('Unhandled request error', { method: req.method, path: req.originalUrl, error: err.message, stack: err.stack });
   res.status(500).json({
     error: 'Internal server error',
     message: err.message,
@@ -352,24 +1321,63 @@ app.use((err, req, res, next) => {
 
 /**
  * Graceful shutdown handler
+ * Drain: /ready fails, new streams are refused and open ones are handed off
+ * (staggered over DRAIN_WINDOW_MS, after their queued events are written).
+ * HTTP and Redis stay up until every connection is handed off, or at most
+ * DRAIN_DEADLINE_MS, so in-flight work completes. A second signal exits at once.
  */
 async function gracefulShutdown(signal) {
-  console.log(`\n[SHUTDOWN] Received ${signal}, starting graceful shutdown...`);
+  if (draining) {
+    log.warn('Second signal while draining - exiting now', { signal, remaining: connectionRegistry.count() });
+    process.exit(1);
+  }
+
+  draining = true;
+  const deadline = Date.now() + DRAIN_DEADLINE_MS;
+  log.info('Starting graceful drain', { signal, windowMs: DRAIN_WINDOW_MS, deadlineMs: DRAIN_DEADLINE_MS });
+
+  let deadlineTimer;
+  const handedOff = await Promise.race([
+    connectionRegistry.drain({ windowMs: Math.min(DRAIN_WINDOW_MS, DRAIN_DEADLINE_MS), retryMs: SSE_RETRY_MS })
+      .then(() => true),
+    new Promise((resolve) => {
+      deadlineTimer = setTimeout(() => resolve(false), DRAIN_DEADLINE_MS);
+    })
+  ]);
+  clearTimeout(deadlineTimer);
+
+  if (handedOff) {
+    log.info('All connections handed off');
+  } else {
+    log.info('Drain deadline reached', { remaining: connectionRegistry.count() });
+  }
 
   // Stop accepting new connections
   if (server) {
     server.close(() => {
-      console.log('[SHUTDOWN] HTTP server closed');
+      log.info('HTTP server closed');
     });
   }
 
-  // Close all SSE connections
+  // Close whatever did not hand off in time
   connectionRegistry.closeAll();
+  if (websocketGateway) {
+    websocketGateway.close();
+  }
+  ackTracker.stop();
 
-  // Disconnect from Redis
-  await redisSubscriber.disconnect();
+  // Disconnect from Redis - bounded by the deadline, which an unreachable Redis would not respect
+  const closeTimeoutMs = Math.max(deadline - Date.now(), SHUTDOWN_CLOSE_MIN_MS);
+  await Promise.all([
+    redisSubscriber.disconnect(closeTimeoutMs),
+    closeConnection(redisClient, closeTimeoutMs).then((closed) => {
+      if (!closed) {
+        log.warn('Redis did not answer QUIT - command connection dropped');
+      }
+    })
+  ]);
 
-  console.log('[SHUTDOWN] Graceful shutdown completed');
+  log.info('Graceful shutdown completed');
   process.exit(0);
 }
 
@@ -382,25 +1390,33 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
  */
 async function start() {
   try {
-    // Connect to Redis
-    await redisSubscriber.connect();
-
-    // Start HTTP server
+    // Listen first - while Redis is unreachable /livez still answers and /readyz
+    // reports the subscriber as connecting instead of the probes timing out
     server = app.listen(PORT, () => {
-      console.log(`[SERVER] SSE Server started on port ${PORT}`);
-      console.log(`[SERVER] Pod name: ${POD_NAME}`);
-      console.log(`[SERVER] Environment: ${NODE_ENV}`);
-      console.log(`[SERVER] Redis: ${redisConfig.host}:${redisConfig.port}`);
-      console.log(`[SERVER] Channel: ${redisConfig.channel}`);
-      console.log(`[SERVER] Test client: http://localhost:${PORT}`);
-      console.log(`[SERVER] Admin dashboard: http://localhost:${PORT}/admin`);
+      log.info(`SSE Server started on port ${PORT}`, {
+        environment: NODE_ENV,
+        redis: describeRedisConfig(redisConfig),
+        channel: redisConfig.channel,
+        routingMode: redisConfig.routingMode
+      });
+      log.info(`Test client: http://localhost:${PORT}`);
+      log.info(`Admin dashboard: http://localhost:${PORT}/admin`);
     });
 
+    if (websocketGateway) {
+      server.on('upgrade', websocketGateway.handleUpgrade);
+      log.info(`WebSocket endpoint: ws://localhost:${PORT}/ws/<clientName>`);
+    }
+
     // Make server available to shutdown handler
     global.server = server;
 
+    // Connect to Redis (retries until it is reachable)
+    await redisSubscriber.connect();
+    ackTracker.start();
+
   } catch (err) {
-    console.log('[ERROR] Failed to start server:', err.message);
+    log.error('Failed to start server', { error: err.message });
     process.exit(1);
   }
 }
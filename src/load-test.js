@@ -0,0 +1,248 @@
+/**
+ * Load Test
+ * Opens simulated SSE clients (the client SDK) against one or more servers,
+ * publishes events for them at a target rate and measures what arrives:
+ *   latency - receive time minus the event timestamp set at publish
+ *   loss    - published events no client received before the grace period ended
+ *   reconnects and client errors
+ * Run through the publisher CLI: node test-publisher.js loadtest --clients 200 --rate 500
+ */
+
+const { SseClient } = require('../client/sse-client');
+const { generateEventId } = require('./event-envelope');
+const { deriveDeviceKey } = require('./auth-tokens');
+
+const TICK_MS = 100;
+const CONNECT_CHUNK = 50;
+
+const DEFAULTS = {
+  urls: ['http://localhost:3000'],
+  clients: 50,
+  // Events per second across all clients
+  rate: 100,
+  durationSeconds: 30,
+  // Wait this long after the last publish for stragglers
+  graceSeconds: 5,
+  connectTimeoutSeconds: 10,
+  prefix: 'LOAD',
+  // Servers' PROVISIONING_SECRET, to register each client with its device key
+  provisioningSecret: null
+};
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * options - see DEFAULTS, plus:
+ * publisher - a Publisher (publisher.js) on the Redis the servers use
+ * templates - actionTemplates ({ action: { getData } }) to draw events from
+ * actions - template names to use (default all)
+ * log - progress output (default console.log)
+ * Returns the report
+ */
+async function runLoadTest(options) {
+  const config = { ...DEFAULTS, ...options };
+  const { publisher, templates } = config;
+  const actions = config.actions || Object.keys(templates);
+  const log = config.log || console.log;
+
+  const sent = new Map(); // eventId -> clientName
+  const received = new Set();
+  const latencies = [];
+  const stats = { duplicates: 0, unexpected: 0, reconnects: 0, clientErrors: 0, publishErrors: 0 };
+
+  log(`[LOADTEST] Opening ${config.clients} client(s) across ${config.urls.join(', ')}`);
+  const clients = await openClients(config, {
+    onEvent(clientName, event) {
+      const now = Date.now();
+      if (sent.get(event.eventId) !== clientName) {
+        stats.unexpected++; // Another run's event, or one for a different client
+        return;
+      }
+      if (received.has(event.eventId)) {
+        stats.duplicates++; // Redelivery or replay after a reconnect
+        return;
+      }
+      received.add(event.eventId);
+      latencies.push(now - Date.parse(event.timestamp));
+    },
+    onReconnect() {
+      stats.reconnects++;
+    },
+    onError() {
+      stats.clientErrors++;
+    }
+  });
+
+  const connected = clients.filter((entry) => entry.connected);
+  log(`[LOADTEST] ${connected.length}/${config.clients} client(s) connected`);
+  if (connected.length === 0) {
+    clients.forEach((entry) => entry.client.close());
+    throw new Error('No simulated client could connect');
+  }
+
+  log(`[LOADTEST] Publishing ${config.rate} event(s)/s for ${config.durationSeconds}s (${actions.join(', ')})`);
+  const startedAt = Date.now();
+  const endAt = startedAt + config.durationSeconds * 1000;
+  let published = 0;
+  let lastProgress = startedAt;
+
+  while (Date.now() < endAt) {
+    // Catch up to the target rate - a slow round trip is followed by a bigger batch
+    const due = Math.floor(((Date.now() - startedAt) / 1000) * config.rate) - published;
+
+    if (due > 0) {
+      const events = [];
+      for (let i = 0; i < due; i++) {
+        const { clientName } = connected[Math.floor(Math.random() * connected.length)];
+        const action = actions[Math.floor(Math.random() * actions.length)];
+        // Known before publishing - a fast delivery can beat the publish reply
+        const event = { clientName, action, eventId: generateEventId(), data: templates[action].getData() };
+        sent.set(event.eventId, clientName);
+        events.push(event);
+      }
+      published += due;
+
+      try {
+        await publisher.publishBatch(events);
+      } catch (err) {
+        events.forEach((event) => sent.delete(event.eventId));
+        stats.publishErrors += due;
+        log(`[LOADTEST] Publish failed: ${err.message}`);
+      }
+    }
+
+    if (Date.now() - lastProgress >= 5000) {
+      lastProgress = Date.now();
+      log(`[LOADTEST] ${Math.round((lastProgress - startedAt) / 1000)}s: sent ${sent.size}, received ${received.size}, reconnects ${stats.reconnects}`);
+    }
+    await sleep(TICK_MS);
+  }
+
+  const publishSeconds = (Date.now() - startedAt) / 1000;
+  log(`[LOADTEST] Waiting ${config.graceSeconds}s for in-flight events`);
+  const graceEnd = Date.now() + config.graceSeconds * 1000;
+  while (received.size < sent.size && Date.now() < graceEnd) {
+    await sleep(TICK_MS);
+  }
+
+  clients.forEach((entry) => entry.client.close());
+
+  const sorted = latencies.slice().sort((a, b) => a - b);
+  const mean = sorted.length > 0 ? sorted.reduce((total, value) => total + value, 0) / sorted.length : null;
+
+  return {
+    startedAt: new Date(startedAt).toISOString(),
+    config: {
+      urls: config.urls,
+      clients: config.clients,
+      rate: config.rate,
+      durationSeconds: config.durationSeconds,
+      graceSeconds: config.graceSeconds,
+      actions
+    },
+    clients: {
+      requested: config.clients,
+      connected: connected.length,
+      reconnects: stats.reconnects,
+      errors: stats.clientErrors
+    },
+    events: {
+      published: sent.size,
+      publishErrors: stats.publishErrors,
+      received: received.size,
+      lost: sent.size - received.size,
+      lossRate: sent.size > 0 ? round((sent.size - received.size) / sent.size) : 0,
+      duplicates: stats.duplicates,
+      unexpected: stats.unexpected
+    },
+    throughput: {
+      publishedPerSecond: round(sent.size / publishSeconds),
+      receivedPerSecond: round(received.size / publishSeconds)
+    },
+    latencyMs: {
+      min: sorted.length > 0 ? sorted[0] : null,
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99),
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+      mean: round(mean)
+    }
+  };
+}
+
+/**
+ * Connect clients round-robin over the urls, CONNECT_CHUNK at a time
+ * Returns [{ clientName, client, connected }]
+ */
+async function openClients(config, { onEvent, onReconnect, onError }) {
+  const entries = [];
+
+  for (let start = 0; start < config.clients; start += CONNECT_CHUNK) {
+    const chunk = [];
+
+    for (let i = start; i < Math.min(start + CONNECT_CHUNK, config.clients); i++) {
+      const clientName = `${config.prefix}-${String(i + 1).padStart(5, '0')}`;
+      const client = new SseClient({
+        baseUrl: config.urls[i % config.urls.length],
+        clientName,
+        deviceKey: config.provisioningSecret ? deriveDeviceKey(clientName, config.provisioningSecret) : undefined
+      });
+      const entry = { clientName, client, connected: false };
+
+      client.handle('*', (event) => onEvent(clientName, event));
+      client.on('error', onError);
+      client.on('state', ({ state, previous }) => {
+        if (state === 'reconnecting' && previous !== 'reconnecting') {
+          onReconnect();
+        }
+      });
+
+      chunk.push(new Promise((resolve) => {
+        const timer = setTimeout(resolve, config.connectTimeoutSeconds * 1000);
+        client.on('connected', () => {
+          entry.connected = true;
+          clearTimeout(timer);
+          resolve();
+        });
+      }));
+
+      client.connect();
+      entries.push(entry);
+    }
+
+    await Promise.all(chunk);
+  }
+
+  return entries;
+}
+
+/**
+ * Human-readable summary of a report
+ */
+function formatReport(report) {
+  const { clients, events, throughput, latencyMs } = report;
+  return [
+    `Clients:    ${clients.connected}/${clients.requested} connected, ${clients.reconnects} reconnect(s), ${clients.errors} error(s)`,
+    `Events:     ${events.published} published, ${events.received} received, ${events.lost} lost (${(events.lossRate * 100).toFixed(2)}%), ${events.duplicates} duplicate(s)`,
+    `Throughput: ${throughput.publishedPerSecond}/s published, ${throughput.receivedPerSecond}/s received`,
+    `Latency:    p50 ${latencyMs.p50}ms, p95 ${latencyMs.p95}ms, p99 ${latencyMs.p99}ms, max ${latencyMs.max}ms`
+  ].join('\n');
+}
+
+module.exports = { runLoadTest, formatReport, percentile };
@@ -0,0 +1,160 @@
+/**
+ * Logger
+ * Leveled, structured logging with per-subsystem levels and payload redaction
+ *
+ * LOG_LEVEL=info                       default level (debug, info, warn, error, silent)
+ * LOG_LEVELS=HEARTBEAT=warn,REDIS=debug per-subsystem overrides
+ * LOG_FORMAT=json|text                 json by default in production
+ * LOG_REDACT_KEYS=iban,loyaltyId       extra payload keys to redact
+ */
+
+const POD_NAME = process.env.POD_NAME || 'local-pod';
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_REDACT_KEYS = [
+  'cardNumber', 'cardLast4', 'pan', 'cvv', 'cvc', 'expiry', 'expiryDate', 'track1', 'track2',
+  'pin', 'password', 'secret', 'token', 'apiKey', 'authorization', 'sessionId'
+];
+
+// 13-19 consecutive digits (optionally grouped) look like a card number
+const CARD_NUMBER_PATTERN = /\b(?:\d[ -]?){12,18}\d\b/g;
+
+function parseLevel(value, fallback) {
+  const level = (value || '').trim().toLowerCase();
+  return LEVELS[level] ? level : fallback;
+}
+
+function parseSubsystemLevels(value, fallback) {
+  const levels = {};
+  for (const entry of (value || '').split(',')) {
+    const [subsystem, level] = entry.split('=');
+    if (subsystem && level) {
+      levels[subsystem.trim().toUpperCase()] = parseLevel(level, fallback);
+    }
+  }
+  return levels;
+}
+
+const config = {
+  level: parseLevel(process.env.LOG_LEVEL, 'info'),
+  format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'text'),
+  redactKeys: new Set(DEFAULT_REDACT_KEYS
+    .concat((process.env.LOG_REDACT_KEYS || '').split(','))
+    .map((key) => key.trim().toLowerCase())
+    .filter(Boolean))
+};
+config.subsystemLevels = parseSubsystemLevels(process.env.LOG_LEVELS, config.level);
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function maskCardNumbers(text) {
+  return text.replace(CARD_NUMBER_PATTERN, (match) => (passesLuhn(match.replace(/\D/g, '')) ? '[REDACTED]' : match));
+}
+
+/**
+ * Deep copy with sensitive keys masked
+ * Strings inside payloads (below the top-level fields) are also scanned for card numbers
+ */
+function redact(value, depth = 0) {
+  if (depth > 8) {
+    return '[TRUNCATED]';
+  }
+
+  if (typeof value === 'string') {
+    return depth > 1 ? maskCardNumbers(value) : value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = config.redactKeys.has(key.toLowerCase()) ? '[REDACTED]' : redact(item, depth + 1);
+    }
+    return copy;
+  }
+
+  return value;
+}
+
+function formatText(entry) {
+  const { time, level, subsystem, pod, msg, ...fields } = entry;
+  const extras = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${subsystem}][${pod}] ${msg}${extras ? ` ${extras}` : ''}`;
+}
+
+class Logger {
+  constructor(subsystem) {
+    this.subsystem = subsystem;
+  }
+
+  isEnabled(level) {
+    const threshold = config.subsystemLevels[this.subsystem] || config.level;
+    return LEVELS[level] >= LEVELS[threshold];
+  }
+
+  /**
+   * fields - structured context (clientName, eventId, ...); redacted before output
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      subsystem: this.subsystem,
+      pod: POD_NAME,
+      msg,
+      ...redact(fields)
+    };
+
+    const line = config.format === 'json' ? JSON.stringify(entry) : formatText(entry);
+    if (LEVELS[level] >= LEVELS.warn) {
+      process.stderr.write(`${line}\n`);
+    } else {
+      process.stdout.write(`${line}\n`);
+    }
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+function createLogger(subsystem) {
+  return new Logger(subsystem.toUpperCase());
+}
+
+module.exports = { createLogger, redact };
@@ -0,0 +1,105 @@
+/**
+ * Metrics
+ * Prometheus metrics for connections, event delivery and Redis health
+ */
+
+const client = require('prom-client');
+
+const POD_NAME = process.env.POD_NAME || 'local-pod';
+
+const register = new client.Registry();
+register.setDefaultLabels({ pod: POD_NAME });
+client.collectDefaultMetrics({ register });
+
+// Connections
+const activeConnections = new client.Gauge({
+  name: 'sse_active_connections',
+  help: 'SSE connections currently open on this pod',
+  registers: [register]
+});
+
+const connectsTotal = new client.Counter({
+  name: 'sse_connects_total',
+  help: 'SSE connections accepted',
+  registers: [register]
+});
+
+// reason: event_handler, heartbeat_failure, write_failure, slow_consumer, forced_eviction, token_expired, drain, shutdown
+const disconnectsTotal = new client.Counter({
+  name: 'sse_disconnects_total',
+  help: 'SSE connections closed, by reason',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+// Events
+const eventsReceivedTotal = new client.Counter({
+  name: 'sse_events_received_total',
+  help: 'Messages received from Redis',
+  registers: [register]
+});
+
+const eventsRoutedTotal = new client.Counter({
+  name: 'sse_events_routed_total',
+  help: 'Events written to a client connection on this pod',
+  registers: [register]
+});
+
+const eventsIgnoredTotal = new client.Counter({
+  name: 'sse_events_ignored_not_on_pod_total',
+  help: 'Events for clients not connected to this pod',
+  registers: [register]
+});
+
+// reason: invalid_json, missing_client_name, schema_validation, write_failure, queue_overflow
+const eventsFailedTotal = new client.Counter({
+  name: 'sse_events_failed_total',
+  help: 'Events that could not be delivered, by reason',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const deliveryLatency = new client.Histogram({
+  name: 'sse_delivery_latency_seconds',
+  help: 'Time from the event timestamp (publish) to the write on the client connection',
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+// Redis
+const redisConnected = new client.Gauge({
+  name: 'sse_redis_connected',
+  help: '1 when the Redis subscriber connection is up',
+  registers: [register]
+});
+
+const redisReconnectsTotal = new client.Counter({
+  name: 'sse_redis_reconnect_attempts_total',
+  help: 'Redis subscriber reconnection attempts',
+  registers: [register]
+});
+
+/**
+ * Record publish-to-delivery latency from the event's own timestamp
+ */
+function observeDelivery(event) {
+  const publishedAt = Date.parse(event.timestamp);
+  if (!isNaN(publishedAt)) {
+    deliveryLatency.observe(Math.max(Date.now() - publishedAt, 0) / 1000);
+  }
+}
+
+module.exports = {
+  register,
+  activeConnections,
+  connectsTotal,
+  disconnectsTotal,
+  eventsReceivedTotal,
+  eventsRoutedTotal,
+  eventsIgnoredTotal,
+  eventsFailedTotal,
+  deliveryLatency,
+  redisConnected,
+  redisReconnectsTotal,
+  observeDelivery
+};
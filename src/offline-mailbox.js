@@ -0,0 +1,135 @@
+/**
+ * Offline Mailbox
+ * Holds events for clients that no pod is currently serving and
+ * hands them over, in order, when the client connects again
+ */
+
+const { scanKeys } = require('./redis-client');
+const { createLogger } = require('./logger');
+
+const log = createLogger('MAILBOX');
+
+// Atomic so a client that connects concurrently either sees the event in
+// its drain or receives it live - never neither. Every pod that does not
+// hold the client runs this, so it is deduplicated per eventId.
+const STORE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return -1
+end
+if not redis.call('SET', KEYS[3], '1', 'NX', 'EX', ARGV[2]) then
+  return 0
+end
+redis.call('RPUSH', KEYS[2], ARGV[3])
+redis.call('LTRIM', KEYS[2], -tonumber(ARGV[1]), -1)
+redis.call('EXPIRE', KEYS[2], ARGV[2])
+return redis.call('LLEN', KEYS[2])
+`;
+
+class OfflineMailbox {
+  constructor(redis, presence, options = {}) {
+    this.redis = redis;
+    this.presence = presence;
+    this.ttlSeconds = options.ttlSeconds || 86400;
+    this.maxDepth = options.maxDepth || 100;
+    this.keyPrefix = options.keyPrefix || 'sse:mailbox';
+
+    this.redis.defineCommand('storeOfflineEvent', {
+      numberOfKeys: 3,
+      lua: STORE_SCRIPT
+    });
+  }
+
+  key(clientName) {
+    return `${this.keyPrefix}:{${clientName}}`;
+  }
+
+  seenKey(clientName, eventId) {
+    return `${this.keyPrefix}:{${clientName}}:seen:${eventId}`;
+  }
+
+  /**
+   * Store an event unless some pod holds the client
+   * Returns true when the event was queued by this call
+   */
+  async store(event) {
+    const { clientName, eventId } = event;
+
+    const depth = await this.redis.storeOfflineEvent(
+      this.presence.key(clientName),
+      this.key(clientName),
+      this.seenKey(clientName, eventId),
+      this.maxDepth,
+      this.ttlSeconds,
+      JSON.stringify(event)
+    );
+
+    if (depth > 0) {
+      log.info('Queued event for offline client', { clientName, eventId, depth });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Hand every pending event for a client to deliver(events), oldest first.
+   * deliver returns how many it wrote; only those leave the mailbox, so a
+   * connection lost half-way keeps the rest for the next connect.
+   * Returns the number of events delivered
+   */
+  async drain(clientName, deliver) {
+    const key = this.key(clientName);
+    const messages = await this.redis.lrange(key, 0, -1);
+
+    const entries = messages.map((message) => {
+      try {
+        return JSON.parse(message);
+      } catch (err) {
+        log.warn('Skipping unreadable mailbox entry', { clientName, error: err.message });
+        return null;
+      }
+    });
+    const events = entries.filter(Boolean);
+    const reported = await deliver(events);
+    // Trim only what was written - anything but a count in range keeps every entry
+    const delivered = Number.isInteger(reported) && reported >= 0 ? Math.min(reported, events.length) : 0;
+    if (delivered !== reported) {
+      log.warn('Unexpected delivered count', { clientName, reported, events: events.length });
+    }
+
+    // Entries to remove from the head: the delivered events and unreadable ones among them
+    let remove = entries.length;
+    if (delivered < events.length) {
+      let seen = 0;
+      remove = entries.findIndex((entry) => entry && seen++ === delivered);
+    }
+
+    if (remove > 0) {
+      await this.redis.ltrim(key, remove, -1);
+    }
+
+    if (events.length > 0) {
+      log.info(`Drained ${delivered}/${events.length} event(s)`, { clientName });
+    }
+    return delivered;
+  }
+
+  async depth(clientName) {
+    return this.redis.llen(this.key(clientName));
+  }
+
+  /**
+   * List clients with pending mail and their depth
+   */
+  async listPending(limit = 1000) {
+    const selected = await scanKeys(this.redis, `${this.keyPrefix}:{*}`, limit);
+    // One command per key - a pipeline cannot span cluster slots
+    const results = await Promise.all(selected.map((key) => this.redis.llen(key)));
+
+    return selected.map((key, i) => ({
+      clientName: key.slice(this.keyPrefix.length + 2, -1),
+      depth: results[i]
+    }));
+  }
+}
+
+module.exports = OfflineMailbox;
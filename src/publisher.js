@@ -0,0 +1,157 @@
+/**
+ * Publisher
+ * Library for backends that publish events to clients through Redis
+ *   const publisher = createPublisher({ ...loadRedisConfig(), channel: 'events-to-store' });
+ *   await publisher.publish('STORE001-LANE01', 'payment', { transactionId, amount, ... });
+ *   await publisher.signature('STORE001-LANE01', { transactionId, amount }, { requiresAck: true });
+ *   await publisher.close();
+ * Envelopes are validated (and data checked against src/schemas) before anything
+ * is sent, so a bad event fails here instead of landing in the dead-letter queue.
+ */
+
+const path = require('path');
+const ClusterPresence = require('./cluster-presence');
+const SchemaValidator = require('./schema-validator');
+const { EventRouter } = require('./event-router');
+const { createRedisConnection } = require('./redis-client');
+const { isSharded } = require('./redis-config');
+const { validateEnvelope, createEnvelope } = require('./event-envelope');
+
+// Actions with a schema in src/schemas - each gets a helper method
+const KNOWN_ACTIONS = ['alert', 'inventory', 'notification', 'payment', 'receipt', 'signature', 'status'];
+
+class InvalidEventError extends Error {
+  /**
+   * details - problems with a single event
+   * invalid - [{ index, details }] for a batch
+   */
+  constructor(message, { details, invalid } = {}) {
+    super(message);
+    this.name = 'InvalidEventError';
+    this.details = details;
+    this.invalid = invalid;
+  }
+}
+
+class Publisher {
+  /**
+   * redis - an open connection; it stays open after close() unless ownsConnection
+   * options.channel - shared channel the pods subscribe to
+   * options.routingMode - 'broadcast' (shared channel) or 'targeted' (owning pods)
+   * options.sharded - SPUBLISH (cluster with sharded pub/sub)
+   * options.schemas - true for src/schemas, a directory, a SchemaValidator or false
+   */
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.ownsConnection = Boolean(options.ownsConnection);
+    this.router = new EventRouter(redis, new ClusterPresence(redis, options.presence), {
+      channel: options.channel || 'events-to-store',
+      mode: options.routingMode || 'broadcast',
+      sharded: options.sharded
+    });
+    this.schemaValidator = createSchemaValidator(options.schemas === undefined ? true : options.schemas);
+  }
+
+  /**
+   * Publish an event for one client
+   * options - eventId, timestamp, requiresAck and any other envelope fields
+   * Returns { event, channel, podName, subscribers }
+   */
+  publish(clientName, action, data, options = {}) {
+    return this.publishEvent({ ...options, clientName, action, data });
+  }
+
+  /**
+   * Publish a complete envelope - also for clientPattern, group and broadcast events
+   */
+  async publishEvent(input) {
+    const event = this.prepare(input);
+    const result = await this.router.publish(event);
+    return { event, ...result };
+  }
+
+  /**
+   * Publish several envelopes in one pipelined round trip
+   * Nothing is sent unless every event is valid
+   * Returns one { event, channel, podName, subscribers } per event, in order
+   */
+  async publishBatch(inputs) {
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      throw new InvalidEventError('events must be a non-empty array');
+    }
+
+    const invalid = inputs
+      .map((input, index) => ({ index, details: this.validate(input) }))
+      .filter((result) => result.details.length > 0);
+
+    if (invalid.length > 0) {
+      throw new InvalidEventError('Invalid events in batch', { invalid });
+    }
+
+    const events = inputs.map(createEnvelope);
+    const results = await this.router.publishBatch(events);
+    return results.map((result, index) => ({ event: events[index], ...result }));
+  }
+
+  /**
+   * Envelope and per-action payload checks
+   * Returns a list of problems (empty when valid)
+   */
+  validate(event) {
+    const errors = validateEnvelope(event);
+    if (errors.length > 0 || !this.schemaValidator) {
+      return errors;
+    }
+    return this.schemaValidator.validate(event).errors;
+  }
+
+  /**
+   * Validate and stamp eventId / timestamp; throws InvalidEventError
+   */
+  prepare(input) {
+    const details = this.validate(input);
+    if (details.length > 0) {
+      throw new InvalidEventError('Invalid event', { details });
+    }
+    return createEnvelope(input);
+  }
+
+  async close() {
+    if (this.ownsConnection) {
+      await this.redis.quit();
+    }
+  }
+}
+
+// publisher.payment(clientName, data, options) etc.
+for (const action of KNOWN_ACTIONS) {
+  Publisher.prototype[action] = function (clientName, data, options) {
+    return this.publish(clientName, action, data, options);
+  };
+}
+
+function createSchemaValidator(schemas) {
+  if (!schemas) {
+    return null;
+  }
+  if (schemas instanceof SchemaValidator) {
+    return schemas;
+  }
+  const dir = typeof schemas === 'string' ? schemas : path.join(__dirname, 'schemas');
+  return new SchemaValidator({ dir }).load();
+}
+
+/**
+ * Open a Redis connection (see redis-config.js) and a Publisher that owns it
+ * config - loadRedisConfig() fields plus channel, routingMode, schemas and presence
+ */
+function createPublisher(config) {
+  const redis = createRedisConnection(config);
+  return new Publisher(redis, {
+    ...config,
+    sharded: isSharded(config),
+    ownsConnection: true
+  });
+}
+
+module.exports = { Publisher, createPublisher, InvalidEventError, KNOWN_ACTIONS };
@@ -0,0 +1,150 @@
+/**
+ * Redis Client
+ * Shared command connection for everything that is not Pub/Sub
+ * (a subscribed connection cannot issue regular commands)
+ * and the factory every Redis connection is opened through
+ */
+
+const fs = require('fs');
+const Redis = require('ioredis');
+const { createLogger } = require('./logger');
+
+const log = createLogger('REDIS');
+
+/**
+ * Exponential reconnect backoff (100ms, 200ms, 400ms, ...) capped at maxDelayMs
+ */
+function reconnectDelay(times, maxDelayMs = 10000) {
+  return Math.min(100 * 2 ** Math.min(times - 1, 16), maxDelayMs);
+}
+
+function readPem(file) {
+  return file ? fs.readFileSync(file) : undefined;
+}
+
+function tlsOptions(tls) {
+  if (!tls || !tls.enabled) {
+    return undefined;
+  }
+
+  return {
+    ca: readPem(tls.ca),
+    cert: readPem(tls.cert),
+    key: readPem(tls.key),
+    servername: tls.servername,
+    rejectUnauthorized: tls.rejectUnauthorized
+  };
+}
+
+/**
+ * Open a standalone, Sentinel or Cluster connection (see redis-config.js)
+ * options - retryStrategy plus any other ioredis options for the node connections
+ */
+function createRedisConnection(config, options = {}) {
+  const { retryStrategy, ...redisOptions } = options;
+  const tls = tlsOptions(config.tls);
+  const common = {
+    username: config.username,
+    password: config.password,
+    tls,
+    ...redisOptions
+  };
+
+  if (config.mode === 'cluster') {
+    return new Redis.Cluster(config.cluster.nodes, {
+      clusterRetryStrategy: retryStrategy,
+      shardedSubscribers: config.cluster.shardedPubSub,
+      redisOptions: common,
+      // Nodes announce IPs - keep the seed hostnames so certificates still match
+      dnsLookup: tls ? (address, callback) => callback(null, address) : undefined
+    });
+  }
+
+  if (config.mode === 'sentinel') {
+    return new Redis({
+      ...common,
+      sentinels: config.sentinel.nodes,
+      name: config.sentinel.name,
+      sentinelUsername: config.sentinel.username,
+      sentinelPassword: config.sentinel.password,
+      enableTLSForSentinelMode: config.sentinel.tls,
+      sentinelTLS: config.sentinel.tls ? tls : undefined,
+      retryStrategy
+    });
+  }
+
+  return new Redis({
+    ...common,
+    host: config.host,
+    port: config.port,
+    retryStrategy
+  });
+}
+
+/**
+ * SCAN for keys matching a pattern - on every master in cluster mode
+ * (a plain SCAN only walks the node it happens to be sent to)
+ */
+async function scanKeys(redis, pattern, limit = 1000) {
+  const nodes = redis.isCluster ? redis.nodes('master') : [redis];
+  const keys = [];
+
+  for (const node of nodes) {
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await node.scan(cursor, 'MATCH', pattern, 'COUNT', 200);
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0' && keys.length < limit);
+
+    if (keys.length >= limit) {
+      break;
+    }
+  }
+
+  return keys.slice(0, limit);
+}
+
+/**
+ * QUIT, but give up after timeoutMs and drop the socket instead - with unbounded
+ * reconnects a QUIT to an unreachable Redis never settles
+ * Resolves true when the connection closed cleanly
+ */
+async function closeConnection(redis, timeoutMs) {
+  let timer;
+  const closed = await Promise.race([
+    redis.quit().then(() => true, () => false),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), Math.max(timeoutMs, 0));
+    })
+  ]);
+  clearTimeout(timer);
+
+  if (!closed) {
+    redis.disconnect();
+  }
+  return closed;
+}
+
+function createRedisClient(config) {
+  // Never give up - the command client is needed for as long as the pod runs
+  const client = createRedisConnection(config, {
+    retryStrategy: (times) => {
+      const delay = reconnectDelay(times, config.maxReconnectDelayMs);
+      log.warn('Command client reconnecting', { delayMs: delay, attempt: times });
+      return delay;
+    }
+  });
+
+  client.on('ready', () => {
+    log.info('Command client ready', { mode: config.mode });
+  });
+
+  client.on('error', (err) => {
+    log.error('Command client error', { error: err.message });
+  });
+
+  return client;
+}
+
+module.exports = { createRedisClient, createRedisConnection, closeConnection, scanKeys, reconnectDelay };
@@ -0,0 +1,144 @@
+/**
+ * Redis Config
+ * Connection settings for every Redis connection the service opens
+ *   standalone - REDIS_HOST / REDIS_PORT
+ *   sentinel   - master discovered through REDIS_SENTINELS
+ *   cluster    - seeded from REDIS_CLUSTER_NODES, optionally with sharded pub/sub
+ * Settings come from REDIS_CONFIG_FILE (JSON) when set; env vars override the file
+ */
+
+const fs = require('fs');
+
+const REDIS_MODES = ['standalone', 'sentinel', 'cluster'];
+
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return ['1', 'true', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * "host:port,host:port", ["host:port"] or [{ host, port }] -> [{ host, port }]
+ */
+function parseNodes(value, defaultPort) {
+  const entries = Array.isArray(value)
+    ? value
+    : (value || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+
+  return entries.map((entry) => {
+    if (typeof entry === 'object') {
+      return { host: entry.host, port: parseInt(entry.port) || defaultPort };
+    }
+
+    const separator = entry.lastIndexOf(':');
+    if (separator === -1) {
+      return { host: entry, port: defaultPort };
+    }
+    return { host: entry.slice(0, separator), port: parseInt(entry.slice(separator + 1)) || defaultPort };
+  });
+}
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read Redis config file ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Build the connection config from env (and REDIS_CONFIG_FILE)
+ * Throws on an unusable combination so the pod fails at startup
+ */
+function loadRedisConfig(env = process.env) {
+  const file = env.REDIS_CONFIG_FILE ? readConfigFile(env.REDIS_CONFIG_FILE) : {};
+  const fileTls = file.tls || {};
+  const fileSentinel = file.sentinel || {};
+  const fileCluster = file.cluster || {};
+
+  const config = {
+    mode: env.REDIS_MODE || file.mode || 'standalone',
+    host: env.REDIS_HOST || file.host || 'localhost',
+    port: parseInt(env.REDIS_PORT || file.port) || 6379,
+    // ACL user; leave unset for the default user with requirepass
+    username: env.REDIS_USERNAME || file.username,
+    password: env.REDIS_PASSWORD || file.password,
+    tls: {
+      enabled: parseBoolean(env.REDIS_TLS, parseBoolean(fileTls.enabled, Boolean(file.tls))),
+      // File paths; the PEM contents are read when connecting
+      ca: env.REDIS_TLS_CA_FILE || fileTls.ca,
+      cert: env.REDIS_TLS_CERT_FILE || fileTls.cert,
+      key: env.REDIS_TLS_KEY_FILE || fileTls.key,
+      servername: env.REDIS_TLS_SERVERNAME || fileTls.servername,
+      rejectUnauthorized: parseBoolean(env.REDIS_TLS_REJECT_UNAUTHORIZED, parseBoolean(fileTls.rejectUnauthorized, true))
+    },
+    sentinel: {
+      name: env.REDIS_SENTINEL_MASTER || fileSentinel.name || 'mymaster',
+      nodes: parseNodes(env.REDIS_SENTINELS || fileSentinel.nodes, 26379),
+      username: env.REDIS_SENTINEL_USERNAME || fileSentinel.username,
+      password: env.REDIS_SENTINEL_PASSWORD || fileSentinel.password,
+      tls: parseBoolean(env.REDIS_SENTINEL_TLS, parseBoolean(fileSentinel.tls, false))
+    },
+    cluster: {
+      nodes: parseNodes(env.REDIS_CLUSTER_NODES || fileCluster.nodes, 6379),
+      // SSUBSCRIBE/SPUBLISH for the channels this service reads (Redis 7+)
+      shardedPubSub: parseBoolean(env.REDIS_SHARDED_PUBSUB, parseBoolean(fileCluster.shardedPubSub, false))
+    }
+  };
+
+  if (!REDIS_MODES.includes(config.mode)) {
+    throw new Error(`Invalid REDIS_MODE "${config.mode}" (expected ${REDIS_MODES.join('|')})`);
+  }
+  if (config.mode === 'sentinel' && config.sentinel.nodes.length === 0) {
+    throw new Error('REDIS_SENTINELS is required in sentinel mode');
+  }
+  if (config.mode === 'cluster' && config.cluster.nodes.length === 0) {
+    throw new Error('REDIS_CLUSTER_NODES is required in cluster mode');
+  }
+  if (config.cluster.shardedPubSub && config.mode !== 'cluster') {
+    throw new Error('REDIS_SHARDED_PUBSUB requires REDIS_MODE=cluster');
+  }
+  if (Boolean(config.tls.cert) !== Boolean(config.tls.key)) {
+    throw new Error('REDIS_TLS_CERT_FILE and REDIS_TLS_KEY_FILE must be set together');
+  }
+
+  return config;
+}
+
+function isSharded(config) {
+  return config.mode === 'cluster' && Boolean(config.cluster && config.cluster.shardedPubSub);
+}
+
+/**
+ * Connection summary for status endpoints - never includes secrets
+ */
+function describeRedisConfig(config) {
+  const endpoints = {
+    standalone: () => [{ host: config.host, port: config.port }],
+    sentinel: () => config.sentinel.nodes,
+    cluster: () => config.cluster.nodes
+  }[config.mode]();
+
+  return {
+    mode: config.mode,
+    endpoints: endpoints.map((node) => `${node.host}:${node.port}`),
+    sentinelMaster: config.mode === 'sentinel' ? config.sentinel.name : undefined,
+    username: config.username || null,
+    auth: Boolean(config.password),
+    tls: config.tls.enabled
+      ? {
+        servername: config.tls.servername || null,
+        customCa: Boolean(config.tls.ca),
+        clientCert: Boolean(config.tls.cert),
+        rejectUnauthorized: config.tls.rejectUnauthorized
+      }
+      : false,
+    shardedPubSub: isSharded(config)
+  };
+}
+
+module.exports = { loadRedisConfig, describeRedisConfig, isSharded, parseNodes, REDIS_MODES };
@@ -3,8 +3,16 @@
  * Subscribes to Redis Pub/Sub and routes messages to SSE connections
  */
 
-const Redis = require('ioredis');
+const crypto = require('crypto');
 const connectionRegistry = require('./connection-registry');
+const { podChannel } = require('./event-router');
+const { getTarget } = require('./event-envelope');
+const { createRedisConnection, closeConnection, reconnectDelay } = require('./redis-client');
+const { describeRedisConfig, isSharded } = require('./redis-config');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('REDIS');
 
 class RedisSubscriber {
   constructor(config) {
@@ -12,8 +20,43 @@ class RedisSubscriber {
     this.subscriber = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
+    // 0 retries forever; otherwise the subscriber gives up (and liveness fails) after this many
+    this.maxReconnectAttempts = config.maxReconnectAttempts || 0;
+    this.maxReconnectDelayMs = config.maxReconnectDelayMs || 10000;
+    // connecting, subscribed, reconnecting, gave_up or disconnected
+    this.state = 'disconnected';
+    this.subscribed = false;
+    this.stopping = false;
+    // SSUBSCRIBE/SPUBLISH instead of SUBSCRIBE/PUBLISH (cluster mode only)
+    this.sharded = isSharded(config);
+    // Loopback probe through the control channel proves the subscription still delivers
+    this.publisher = config.publisher || null;
+    this.probeIntervalMs = config.probeIntervalMs || 10000;
+    this.probeTimer = null;
+    this.lastProbeAt = null;
     this.podName = config.podName || process.env.POD_NAME || 'local-pod';
+    this.eventHistory = config.eventHistory || null;
+    this.offlineMailbox = config.offlineMailbox || null;
+    this.schemaValidator = config.schemaValidator || null;
+    this.deadLetters = config.deadLetters || null;
+
+    // 'broadcast': every pod reads the shared channel
+    // 'targeted': pods also read their own channel, fed by EventRouter
+    this.routingMode = config.routingMode || 'broadcast';
+    this.router = config.router || null;
+    this.podChannel = podChannel(config.channel, this.podName);
+    // Commands for connections on whichever pod holds them (e.g. filter changes)
+    this.controlChannel = config.controlChannel || `${config.channel}:control`;
+  }
+
+  /**
+   * Channels this pod listens on
+   */
+  getChannels() {
+    if (this.routingMode === 'targeted') {
+      return [this.config.channel, this.podChannel, this.controlChannel];
+    }
+    return [this.config.channel, this.controlChannel];
   }
 
   /**
@@ -21,122 +64,360 @@ class RedisSubscriber {
    */
   async connect() {
     try {
-      console.log(`[REDIS][${this.podName}] Connecting to Redis at ${this.config.host}:${this.config.port}`);
+      const { mode, endpoints } = describeRedisConfig(this.config);
+      log.info('Connecting to Redis', { mode, endpoints, sharded: this.sharded });
+      this.state = 'connecting';
       
-      this.subscriber = new Redis({
-        host: this.config.host,
-        port: this.config.port,
+      this.subscriber = createRedisConnection(this.config, {
         retryStrategy: (times) => {
-          if (times > this.maxReconnectAttempts) {
-            console.log(`[REDIS] Max reconnection attempts reached`);
+          if (this.maxReconnectAttempts > 0 && times > this.maxReconnectAttempts) {
+            log.error('Max reconnection attempts reached, giving up', { attempts: times });
             return null;
           }
-          const delay = Math.min(times * 100, 2000);
-          console.log(`[REDIS] Reconnecting in ${delay}ms (attempt ${times})`);
+          const delay = reconnectDelay(times, this.maxReconnectDelayMs);
+          log.warn('Reconnecting', { delayMs: delay, attempt: times });
           return delay;
         },
         reconnectOnError: (err) => {
-          console.log(`[REDIS] Reconnect on error:`, err.message);
+          log.warn('Reconnect on error', { error: err.message });
           return true;
         }
       });
 
       // Connection events
       this.subscriber.on('connect', () => {
-        console.log(`[REDIS][${this.podName}] Connected to Redis`);
+        log.info('Connected to Redis');
         this.isConnected = true;
+        metrics.redisConnected.set(1);
         this.reconnectAttempts = 0;
       });
 
       this.subscriber.on('ready', () => {
-        console.log(`[REDIS][${this.podName}] Redis client ready`);
+        log.info('Redis client ready');
+        // ioredis re-subscribes on its own; confirm it before reporting ready again
+        if (this.state === 'reconnecting') {
+          this.subscribeAll().catch((err) => {
+            log.error('Failed to resubscribe', { error: err.message });
+          });
+        }
       });
 
       this.subscriber.on('error', (err) => {
-        console.log(`[REDIS][${this.podName}] Error:`, err.message);
+        log.error('Redis error', { error: err.message });
         this.isConnected = false;
+        metrics.redisConnected.set(0);
       });
 
       this.subscriber.on('close', () => {
-        console.log(`[REDIS][${this.podName}] Connection closed`);
+        log.warn('Connection closed');
         this.isConnected = false;
+        this.subscribed = false;
+        // Still 'connecting' until the first subscribe succeeds - readiness reports a pod that never came up
+        if (!this.stopping && this.state !== 'gave_up' && this.state !== 'connecting') {
+          this.state = 'reconnecting';
+        }
+        metrics.redisConnected.set(0);
+      });
+
+      // No more reconnection attempts
+      this.subscriber.on('end', () => {
+        if (!this.stopping) {
+          log.error('Gave up reconnecting to Redis');
+          this.state = 'gave_up';
+        }
       });
 
       this.subscriber.on('reconnecting', () => {
         this.reconnectAttempts++;
-        console.log(`[REDIS][${this.podName}] Reconnecting... (attempt ${this.reconnectAttempts})`);
+        metrics.redisReconnectsTotal.inc();
+        log.info('Reconnecting...', { attempt: this.reconnectAttempts });
       });
 
-      // Subscribe to channel
-      await this.subscriber.subscribe(this.config.channel);
-      console.log(`[REDIS][${this.podName}] Subscribed to channel: ${this.config.channel}`);
-
       // Handle incoming messages
-      this.subscriber.on('message', (channel, message) => {
+      this.subscriber.on(this.sharded ? 'smessage' : 'message', (channel, message) => {
         this.handleMessage(channel, message);
       });
 
+      await this.subscribeAll();
+      this.startProbe();
+
       return true;
     } catch (err) {
-      console.log(`[REDIS][${this.podName}] Failed to connect:`, err.message);
+      log.error('Failed to connect', { error: err.message });
       this.isConnected = false;
       return false;
     }
   }
 
+  /**
+   * Subscribe to the shared channel (and this pod's channel in targeted mode)
+   */
+  async subscribeAll() {
+    const channels = this.getChannels();
+    if (this.sharded) {
+      // Sharded channels live in different slots - one SSUBSCRIBE each
+      await Promise.all(channels.map((channel) => this.subscriber.ssubscribe(channel)));
+    } else {
+      await this.subscriber.subscribe(...channels);
+    }
+    this.subscribed = true;
+    this.state = 'subscribed';
+    log.info('Subscribed', { channels });
+    this.sendProbe();
+  }
+
+  startProbe() {
+    if (!this.publisher || this.probeTimer) {
+      return;
+    }
+
+    this.probeTimer = setInterval(() => this.sendProbe(), this.probeIntervalMs);
+    this.probeTimer.unref();
+  }
+
+  sendProbe() {
+    if (!this.publisher) {
+      return;
+    }
+
+    this.sendControl({ type: 'probe', podName: this.podName, sentAt: Date.now() }).catch((err) => {
+      log.warn('Failed to send subscription probe', { error: err.message });
+    });
+  }
+
+  /**
+   * Publish a command on the control channel (SPUBLISH when pub/sub is sharded)
+   */
+  async sendControl(command) {
+    const message = JSON.stringify(command);
+    return this.sharded
+      ? this.publisher.spublish(this.controlChannel, message)
+      : this.publisher.publish(this.controlChannel, message);
+  }
+
+  /**
+   * Age of the last probe this pod received back (null before the first one)
+   */
+  getProbeAgeMs() {
+    return this.lastProbeAt ? Date.now() - this.lastProbeAt : null;
+  }
+
   /**
    * Handle incoming Redis messages
    * Parse JSON and route to appropriate SSE connection
    */
   handleMessage(channel, message) {
+    if (channel === this.controlChannel) {
+      this.handleControl(message);
+      return;
+    }
+
     try {
-      console.log(`[REDIS][${this.podName}] Received message on ${channel}:`, message);
+      metrics.eventsReceivedTotal.inc();
 
       // Parse message
-      const event = JSON.parse(message);
+      let event;
+      try {
+        event = JSON.parse(message);
+      } catch (err) {
+        log.warn('Invalid message: unparseable JSON', { channel, length: message.length });
+        this.deadLetter(message, 'invalid_json', [err.message], channel);
+        return;
+      }
       
       // Validate message structure
-      if (!event.clientName) {
-        console.log(`[REDIS][${this.podName}] Invalid message: missing clientName`);
+      const target = event && typeof event === 'object' ? getTarget(event) : null;
+      if (!target || (target.type !== 'broadcast' && (typeof target.value !== 'string' || !target.value))) {
+        log.warn('Invalid message: missing clientName', { channel });
+        this.deadLetter(message, 'missing_client_name', ['clientName, clientPattern, group or broadcast: true is required'], channel);
         return;
       }
 
+      log.debug('Received message', {
+        channel,
+        target: target.type === 'client' ? undefined : `${target.type}:${target.value}`,
+        clientName: event.clientName,
+        eventId: event.eventId,
+        action: event.action,
+        payload: event.data
+      });
+
+      // Validate payload against the schema for its action
+      if (this.schemaValidator) {
+        const { valid, errors } = this.schemaValidator.validate(event);
+        if (!valid) {
+          log.warn('Invalid payload', {
+            clientName: event.clientName,
+            eventId: event.eventId,
+            action: event.action,
+            errors
+          });
+          this.deadLetter(message, 'schema_validation', errors, channel);
+          return;
+        }
+      }
+
+      // Every pod handles broadcast messages and must derive the same id for the same one,
+      // or history, the offline mailbox and replay dedup would each keep a copy per pod
+      if (!event.eventId) {
+        event.eventId = `evt-${crypto.createHash('sha1').update(message).digest('hex').slice(0, 16)}`;
+      }
+
+      if (target.type !== 'client') {
+        this.routeToTarget(event, target);
+        return;
+      }
+
+      // Keep history even when the client is not connected anywhere right now
+      this.appendHistory(event);
+
       // Route to specific client
-      this.routeToClient(event);
+      this.routeToClient(event, channel);
 
     } catch (err) {
-      console.log(`[REDIS][${this.podName}] Error handling message:`, err.message);
+      log.error('Error handling message', { channel, error: err.message });
     }
   }
 
   /**
-   * Route event to specific SSE connection
+   * Apply a control command to a local session
+   * { type: 'filters', clientName, sessionId, filters },
+   * { type: 'redeliver', clientName, event } (unacknowledged event, every local session)
+   * or this pod's own { type: 'probe' }
+   */
+  handleControl(message) {
+    let command;
+    try {
+      command = JSON.parse(message);
+    } catch (err) {
+      log.warn('Invalid control message', { error: err.message });
+      return;
+    }
+
+    if (command.type === 'probe') {
+      if (command.podName === this.podName) {
+        this.lastProbeAt = Date.now();
+      }
+      return;
+    }
+
+    if (command.type === 'redeliver') {
+      if (connectionRegistry.has(command.clientName)) {
+        connectionRegistry.sendEvent(command.clientName, command.event, { redelivery: true });
+      }
+      return;
+    }
+
+    const connection = connectionRegistry.findBySessionId(command.clientName, command.sessionId);
+    if (!connection) {
+      return; // Held by another pod
+    }
+
+    if (command.type === 'filters') {
+      connection.setFilters(command.filters);
+    } else {
+      log.warn('Unknown control command', { type: command.type, clientName: command.clientName });
+    }
+  }
+
+  appendHistory(event) {
+    if (!this.eventHistory) {
+      return;
+    }
+
+    this.eventHistory.append(event).catch((err) => {
+      log.error('Failed to append to history', { clientName: event.clientName, eventId: event.eventId, error: err.message });
+    });
+  }
+
+  /**
+   * Deliver a pattern, group or broadcast event to the matching sessions on this pod
+   * Only clients connected right now receive it (no offline mailbox); their history
+   * gets a copy so Last-Event-ID keeps working across it
+   */
+  routeToTarget(event, target) {
+    const { clients, connections } = connectionRegistry.sendToTarget(target, event);
+
+    for (const clientName of clients) {
+      this.appendHistory({ ...event, clientName });
+    }
+
+    log.info('Group event delivered', {
+      target: `${target.type}:${target.value}`,
+      eventId: event.eventId,
+      action: event.action,
+      clients: clients.length,
+      connections
+    });
+    return connections;
+  }
+
+  deadLetter(message, reason, details, channel) {
+    metrics.eventsFailedTotal.inc({ reason });
+
+    if (!this.deadLetters) {
+      return;
+    }
+
+    this.deadLetters.record(message, reason, details, channel).catch((err) => {
+      log.error('Failed to dead-letter message', { reason, error: err.message });
+    });
+  }
+
+  /**
+   * Route event to the client's SSE connections on this pod
    * With write failure detection
    */
-  routeToClient(event) {
+  routeToClient(event, channel = this.config.channel) {
     const { clientName } = event;
 
     // Check if client is connected
     if (!connectionRegistry.has(clientName)) {
-      console.log(`[REDIS][${this.podName}] Client ${clientName} not on this pod (${this.podName}) - ignoring`);
+      if (channel === this.podChannel) {
+        // The router's presence lookup was stale - hand it back to every pod
+        log.info('Client left this pod - forwarding to shared channel', { clientName, eventId: event.eventId });
+        this.forwardToShared(event);
+        return;
+      }
+
+      log.debug('Client not on this pod - ignoring', { clientName, eventId: event.eventId });
+      metrics.eventsIgnoredTotal.inc();
+      this.storeIfOffline(event);
       return;
     }
 
-    // Get connection
-    const connection = connectionRegistry.get(clientName);
-    if (!connection) {
-      console.log(`[REDIS][${this.podName}] Connection not found for ${clientName}`);
+    // Send to every session of the client on this pod
+    const sessions = connectionRegistry.sendEvent(clientName, event);
+
+    if (sessions === 0) {
+      log.warn('Failed to send event, connection may be broken', { clientName, eventId: event.eventId });
+    } else {
+      log.info('Event delivered', { clientName, eventId: event.eventId, action: event.action, sessions });
+    }
+  }
+
+  /**
+   * Queue the event in the offline mailbox if no pod in the cluster holds the client
+   */
+  storeIfOffline(event) {
+    if (!this.offlineMailbox) {
       return;
     }
 
-    // Send event with write failure detection
-    const success = connection.sendEvent(event);
-    
-    if (!success) {
-      console.log(`[REDIS][${this.podName}] Failed to send event to ${clientName}, connection may be broken`);
-    } else {
-      console.log(`[SSE][${this.podName}] ✅ Event sent to ${clientName} on pod ${this.podName}`);
+    this.offlineMailbox.store(event).catch((err) => {
+      log.error('Failed to queue offline event', { clientName: event.clientName, eventId: event.eventId, error: err.message });
+    });
+  }
+
+  forwardToShared(event) {
+    if (!this.router) {
+      this.storeIfOffline(event);
+      return;
     }
+
+    this.router.publishShared(event).catch((err) => {
+      log.error('Failed to forward event', { clientName: event.clientName, eventId: event.eventId, error: err.message });
+    });
   }
 
   /**
@@ -149,7 +430,7 @@ class RedisSubscriber {
 
     const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
     const receivers = await this.subscriber.publish(this.config.channel, messageStr);
-    console.log(`[REDIS][${this.podName}] Published message to ${this.config.channel} (subscribers: ${receivers})`);
+    log.info('Published message', { channel: this.config.channel, subscribers: receivers });
   }
 
   /**
@@ -158,9 +439,13 @@ class RedisSubscriber {
   getStatus() {
     return {
       connected: this.isConnected,
+      state: this.state,
+      subscribed: this.subscribed,
+      probeAgeMs: this.getProbeAgeMs(),
       channel: this.config.channel,
-      host: this.config.host,
-      port: this.config.port,
+      channels: this.getChannels(),
+      routingMode: this.routingMode,
+      connection: describeRedisConfig(this.config),
       reconnectAttempts: this.reconnectAttempts
     };
   }
@@ -168,12 +453,25 @@ class RedisSubscriber {
   /**
    * Disconnect from Redis
    */
-  async disconnect() {
+  /**
+   * timeoutMs - drop the connection instead of waiting longer for a clean QUIT
+   */
+  async disconnect(timeoutMs = 5000) {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+
     if (this.subscriber) {
-      console.log(`[REDIS][${this.podName}] Disconnecting from Redis`);
-      await this.subscriber.quit();
+      log.info('Disconnecting from Redis');
+      this.stopping = true;
+      if (!(await closeConnection(this.subscriber, timeoutMs))) {
+        log.warn('Redis did not answer QUIT - connection dropped', { timeoutMs });
+      }
       this.subscriber = null;
       this.isConnected = false;
+      this.subscribed = false;
+      this.state = 'disconnected';
     }
   }
 }
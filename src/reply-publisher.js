@@ -0,0 +1,68 @@
+/**
+ * Reply Publisher
+ * Validates client-to-backend messages and publishes them on the Redis
+ * reply channel, turning the SSE push pipe into a request/response bridge
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const POD_NAME = process.env.POD_NAME || 'local-pod';
+const TYPE_PATTERN = /^[a-zA-Z0-9_.-]{1,64}$/;
+const log = createLogger('REPLY');
+
+/**
+ * Validate an upstream message body
+ * Returns a list of problems (empty when valid)
+ */
+function validateReply(body) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['body must be a JSON object'];
+  }
+
+  if (typeof body.type !== 'string' || !TYPE_PATTERN.test(body.type)) {
+    errors.push('type is required and must be 1-64 alphanumeric, underscore, dot or hyphen characters');
+  }
+
+  if (body.eventId !== undefined && (typeof body.eventId !== 'string' || body.eventId.length === 0)) {
+    errors.push('eventId must be a non-empty string');
+  }
+
+  if (!body.data || typeof body.data !== 'object' || Array.isArray(body.data)) {
+    errors.push('data is required and must be an object');
+  }
+
+  return errors;
+}
+
+class ReplyPublisher {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.channel = options.channel || 'events-from-store';
+  }
+
+  /**
+   * Stamp and publish a validated message
+   * Returns the published envelope and subscriber count
+   */
+  async publish(clientName, body) {
+    const message = {
+      messageId: `msg-${crypto.randomUUID()}`,
+      clientName,
+      podName: POD_NAME,
+      type: body.type,
+      eventId: body.eventId || null,
+      data: body.data,
+      timestamp: new Date().toISOString()
+    };
+
+    const subscribers = await this.redis.publish(this.channel, JSON.stringify(message));
+    log.info('Client reply published', { clientName, type: message.type, eventId: message.eventId, subscribers });
+
+    return { message, subscribers };
+  }
+}
+
+module.exports = { ReplyPublisher, validateReply };
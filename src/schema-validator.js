@@ -0,0 +1,66 @@
+/**
+ * Schema Validator
+ * JSON Schema validation of event payloads (data) per action
+ * Schemas are loaded from <schemasDir>/<action>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { createLogger } = require('./logger');
+
+const log = createLogger('SCHEMA');
+
+class SchemaValidator {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, 'schemas');
+    // 'allow' forwards actions without a schema, 'reject' dead-letters them
+    this.unknownActions = options.unknownActions || 'allow';
+    this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    this.validators = new Map();
+  }
+
+  /**
+   * Compile every schema in the directory
+   */
+  load() {
+    const files = fs.readdirSync(this.dir).filter((file) => file.endsWith('.json'));
+
+    for (const file of files) {
+      const action = path.basename(file, '.json');
+      const schema = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+      this.validators.set(action, this.ajv.compile(schema));
+    }
+
+    log.info(`Loaded ${this.validators.size} schema(s)`, { dir: this.dir, actions: this.getActions() });
+    return this;
+  }
+
+  getActions() {
+    return Array.from(this.validators.keys());
+  }
+
+  /**
+   * Validate an event's data against the schema for its action
+   * Returns { valid, errors } with errors as readable strings
+   */
+  validate(event) {
+    const validator = this.validators.get(event.action);
+
+    if (!validator) {
+      if (this.unknownActions === 'reject') {
+        return { valid: false, errors: [`no schema for action '${event.action}'`] };
+      }
+      return { valid: true, errors: [] };
+    }
+
+    if (validator(event.data)) {
+      return { valid: true, errors: [] };
+    }
+
+    const errors = validator.errors.map((err) => `data${err.instancePath} ${err.message}`);
+    return { valid: false, errors };
+  }
+}
+
+module.exports = SchemaValidator;
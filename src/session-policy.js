@@ -0,0 +1,47 @@
+/**
+ * Session Policy
+ * What happens when a clientName that already has an open stream connects again:
+ *   evict-old  - the new connection replaces the old one
+ *   reject-new - the new connection is refused while another is open
+ *   fan-out    - every connection stays open and receives every event
+ * Per-prefix overrides come from SESSION_POLICY_PREFIXES as "prefix:policy" entries
+ */
+
+const SESSION_POLICIES = ['evict-old', 'reject-new', 'fan-out'];
+
+function parseSessionPolicies(value) {
+  const rules = [];
+
+  for (const entry of (value || '').split(',')) {
+    if (!entry.trim()) {
+      continue;
+    }
+
+    const separator = entry.lastIndexOf(':');
+    const prefix = entry.slice(0, separator).trim();
+    const policy = entry.slice(separator + 1).trim();
+    if (separator === -1 || !prefix || !SESSION_POLICIES.includes(policy)) {
+      throw new Error(`Invalid session policy entry "${entry.trim()}" (expected prefix:${SESSION_POLICIES.join('|')})`);
+    }
+    rules.push({ prefix, policy });
+  }
+
+  // Most specific prefix wins
+  return rules.sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+/**
+ * Build a clientName -> policy lookup
+ */
+function createSessionPolicy({ defaultPolicy = 'evict-old', rules = [] } = {}) {
+  if (!SESSION_POLICIES.includes(defaultPolicy)) {
+    throw new Error(`Invalid session policy "${defaultPolicy}" (expected ${SESSION_POLICIES.join('|')})`);
+  }
+
+  return function policyFor(clientName) {
+    const rule = rules.find((candidate) => clientName.startsWith(candidate.prefix));
+    return rule ? rule.policy : defaultPolicy;
+  };
+}
+
+module.exports = { createSessionPolicy, parseSessionPolicies, SESSION_POLICIES };
@@ -0,0 +1,51 @@
+/**
+ * SSE Wire Format
+ * Serializes messages into text/event-stream frames
+ */
+
+// Field values must not contain line breaks or they would start a new field
+function singleLine(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Build one SSE frame
+ * event - event type for addEventListener (omitted means 'message')
+ * id    - sets the client's Last-Event-ID
+ * retry - reconnection delay hint in milliseconds
+ * data  - string or object; objects are JSON encoded, multi-line strings
+ *         become one data: line per line
+ */
+function formatEvent({ event, id, retry, data }) {
+  let frame = '';
+
+  if (event) {
+    frame += `event: ${singleLine(event)}\n`;
+  }
+
+  if (id !== undefined && id !== null && id !== '') {
+    frame += `id: ${singleLine(id)}\n`;
+  }
+
+  if (Number.isInteger(retry) && retry >= 0) {
+    frame += `retry: ${retry}\n`;
+  }
+
+  if (data !== undefined) {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    for (const line of payload.split(/\r\n|\r|\n/)) {
+      frame += `data: ${line}\n`;
+    }
+  }
+
+  return `${frame}\n`;
+}
+
+function formatComment(text) {
+  return text
+    .split(/\r\n|\r|\n/)
+    .map((line) => `: ${line}\n`)
+    .join('') + '\n';
+}
+
+module.exports = { formatEvent, formatComment };
@@ -1,17 +1,21 @@
 /**
  * Test Publisher
- * CLI tool to publish test events to Redis channel
+ * CLI tool to publish test events to Redis channel (built on publisher.js)
  * Usage: node test-publisher.js <clientName> <action> [count]
  */
 
 require('dotenv').config();
-const Redis = require('ioredis');
+const fs = require('fs');
+const { createPublisher } = require('./publisher');
+const { runLoadTest, formatReport } = require('./load-test');
+const { deriveDeviceKey } = require('./auth-tokens');
+const { loadRedisConfig, describeRedisConfig } = require('./redis-config');
 
-// Configuration
+// Configuration (same REDIS_* connection settings as the server)
 const redisConfig = {
-  host: process.env.REDIS_HOST || 'localhost',
-  port: parseInt(process.env.REDIS_PORT) || 6379,
-  channel: process.env.REDIS_CHANNEL || 'events-to-store'
+  ...loadRedisConfig(),
+  channel: process.env.REDIS_CHANNEL || 'events-to-store',
+  routingMode: process.env.ROUTING_MODE || 'broadcast'
 };
 
 // Action types with realistic payloads
@@ -23,7 +27,8 @@ const actionTemplates = {
       transactionId: `TXN-${randomString(6)}`,
       amount: (Math.random() * 500 + 10).toFixed(2),
       message: 'Please capture signature on the device',
-      timeout: 60
+      timeout: 60,
+      requiresAck: true
     })
   },
   
@@ -124,39 +129,108 @@ function randomChoice(array) {
   return array[Math.floor(Math.random() * array.length)];
 }
 
-function generateEvent(clientName, action) {
-  const template = actionTemplates[action];
-  
-  if (!template) {
-    throw new Error(`Unknown action: ${action}. Available: ${Object.keys(actionTemplates).join(', ')}`);
+async function publishEvent(publisher, clientName, action) {
+  const { event, channel, subscribers } = await publisher.publish(clientName, action, actionTemplates[action].getData());
+
+  console.log(`[PUBLISHED] Event for ${clientName} via ${channel} (subscribers: ${subscribers}):`);
+  console.log(JSON.stringify(event, null, 2));
+
+  return event;
+}
+
+/**
+ * --name value / --name=value flags -> { name: value }
+ */
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unexpected argument '${args[i]}'`);
+    }
+    flags[match[1]] = match[2] !== undefined ? match[2] : args[++i];
   }
+  return flags;
+}
 
-  return {
-    clientName,
-    action: template.action,
-    eventId: `evt-${randomString(8)}`,
-    timestamp: new Date().toISOString(),
-    data: template.getData()
+/**
+ * node test-publisher.js loadtest [--clients N] [--rate N] [--duration S] [--urls a,b] ...
+ */
+async function loadTest(args) {
+  const flags = parseFlags(args);
+  const list = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : undefined);
+  const options = {
+    urls: list(flags.urls || process.env.LOADTEST_URLS),
+    clients: parseInt(flags.clients) || undefined,
+    rate: parseFloat(flags.rate) || undefined,
+    durationSeconds: parseInt(flags.duration) || undefined,
+    graceSeconds: flags.grace !== undefined ? parseInt(flags.grace) : undefined,
+    actions: list(flags.actions),
+    prefix: flags.prefix,
+    provisioningSecret: process.env.PROVISIONING_SECRET
   };
+  // Leave unset options to the load test defaults
+  Object.keys(options).forEach((key) => options[key] === undefined && delete options[key]);
+
+  const unknown = (options.actions || []).filter((action) => !actionTemplates[action]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown action(s): ${unknown.join(', ')}. Available: ${Object.keys(actionTemplates).join(', ')}`);
+  }
+
+  const { mode, endpoints } = describeRedisConfig(redisConfig);
+  console.log(`[LOADTEST] Publishing through Redis (${mode}) at ${endpoints.join(', ')}, routing: ${redisConfig.routingMode}`);
+
+  const publisher = createPublisher(redisConfig);
+  try {
+    const report = await runLoadTest({ ...options, publisher, templates: actionTemplates });
+
+    console.log(`\n${formatReport(report)}\n`);
+    if (flags.report) {
+      fs.writeFileSync(flags.report, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`[LOADTEST] Report written to ${flags.report}`);
+    } else {
+      console.log(JSON.stringify(report, null, 2));
+    }
+  } finally {
+    await publisher.close();
+  }
 }
 
-async function publishEvent(publisher, clientName, action) {
-  const event = generateEvent(clientName, action);
-  const message = JSON.stringify(event);
-  
-  const subscribers = await publisher.publish(redisConfig.channel, message);
-  console.log(`[PUBLISHED] Event for ${clientName} (subscribers: ${subscribers}):`);
-  console.log(JSON.stringify(event, null, 2));
-  
-  return event;
+/**
+ * node test-publisher.js device-key <clientName>...
+ * Provisioning keys to install on devices (same PROVISIONING_SECRET as the server)
+ */
+function deviceKeys(clientNames) {
+  if (!process.env.PROVISIONING_SECRET) {
+    throw new Error('PROVISIONING_SECRET is not set');
+  }
+  if (clientNames.length === 0) {
+    throw new Error('Usage: node test-publisher.js device-key <clientName>...');
+  }
+  clientNames.forEach((clientName) => {
+    console.log(`${clientName} ${deriveDeviceKey(clientName, process.env.PROVISIONING_SECRET)}`);
+  });
 }
 
 async function main() {
   const args = process.argv.slice(2);
 
+  if (args[0] === 'loadtest') {
+    await loadTest(args.slice(1));
+    process.exit(0);
+  }
+
+  if (args[0] === 'device-key') {
+    deviceKeys(args.slice(1));
+    process.exit(0);
+  }
+
   // Parse arguments
   if (args.length < 2) {
     console.log('Usage: node test-publisher.js <clientName> <action> [count] [interval]');
+    console.log('       node test-publisher.js loadtest [--clients 50] [--rate 100] [--duration 30] [--grace 5]');
+    console.log('                              [--urls http://localhost:3000,...] [--actions payment,alert] [--prefix LOAD] [--report file.json]');
+    console.log('       node test-publisher.js device-key <clientName>...');
     console.log('\nAvailable actions:');
     Object.entries(actionTemplates).forEach(([key, template]) => {
       console.log(`  ${key.padEnd(15)} - ${template.description}`);
@@ -165,6 +239,7 @@ async function main() {
     console.log('  node test-publisher.js STORE001-LANE01 signature');
     console.log('  node test-publisher.js STORE001-LANE01 payment 5');
     console.log('  node test-publisher.js STORE001-LANE01 alert 10 1000');
+    console.log('  node test-publisher.js loadtest --clients 200 --rate 500 --duration 60 --report report.json');
     process.exit(1);
   }
 
@@ -180,21 +255,20 @@ async function main() {
     process.exit(1);
   }
 
-  console.log(`[PUBLISHER] Connecting to Redis at ${redisConfig.host}:${redisConfig.port}`);
+  const { mode, endpoints } = describeRedisConfig(redisConfig);
+  console.log(`[PUBLISHER] Connecting to Redis (${mode}) at ${endpoints.join(', ')}`);
   console.log(`[PUBLISHER] Channel: ${redisConfig.channel}`);
+  console.log(`[PUBLISHER] Routing: ${redisConfig.routingMode}`);
   console.log(`[PUBLISHER] Client: ${clientName}`);
   console.log(`[PUBLISHER] Action: ${action}`);
   console.log(`[PUBLISHER] Count: ${count}`);
   console.log(`[PUBLISHER] Interval: ${interval}ms`);
   console.log('');
 
-  // Create Redis publisher
-  const publisher = new Redis({
-    host: redisConfig.host,
-    port: redisConfig.port
-  });
+  // Create Redis publisher (targeted mode looks up the owning pod for every event)
+  const publisher = createPublisher(redisConfig);
 
-  publisher.on('error', (err) => {
+  publisher.redis.on('error', (err) => {
     console.log('[ERROR] Redis error:', err.message);
     process.exit(1);
   });
@@ -202,7 +276,7 @@ async function main() {
   try {
     // Wait for Redis connection
     await new Promise((resolve) => {
-      publisher.once('ready', resolve);
+      publisher.redis.once('ready', resolve);
     });
 
     console.log('[PUBLISHER] Connected to Redis\n');
@@ -220,16 +294,20 @@ async function main() {
     console.log(`\n[PUBLISHER] Successfully published ${count} event(s)`);
 
   } catch (err) {
-    console.log('[ERROR] Failed to publish:', err.message);
+    console.log('[ERROR] Failed to publish:', err.message, err.details ? err.details.join('; ') : '');
     process.exit(1);
   } finally {
-    await publisher.quit();
+    await publisher.close();
     console.log('[PUBLISHER] Disconnected from Redis');
   }
 }
 
 // Run publisher
-main().catch(err => {
-  console.log('[ERROR]', err.message);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.log('[ERROR]', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { actionTemplates };
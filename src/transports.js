@@ -0,0 +1,304 @@
+/**
+ * Transports
+ * The wire a ConnectionEntry writes to - an SSE response, a WebSocket or a
+ * series of long-poll requests. All emit 'close' (optionally with a reason),
+ * 'error' and 'drain', and return false from write() when the client is not
+ * keeping up (the chunk is still accepted).
+ *   sse       - text/event-stream frames, comment heartbeat
+ *   websocket - one JSON text frame per event ({ event, id, retry, data }),
+ *               ping/pong heartbeat, upstream frames emitted as 'message'
+ *   poll      - events held until the client polls; each batch carries a cursor
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { formatEvent, formatComment } = require('./sse-format');
+
+// Same threshold as a Node stream's default highWaterMark
+const WS_HIGH_WATER_MARK = 16 * 1024;
+
+// Close codes a WebSocket client can act on (4000-4999 are application codes)
+const WS_CLOSE_CODES = {
+  drain: 1012,
+  shutdown: 1001,
+  slow_consumer: 1008,
+  token_expired: 4001,
+  forced_eviction: 4002
+};
+
+class SseTransport extends EventEmitter {
+  constructor(response) {
+    super();
+    this.type = 'sse';
+    this.response = response;
+
+    const close = () => this.emit('close');
+    const error = (err) => this.emit('error', err);
+
+    response.req.on('close', close);
+    response.req.on('error', error);
+    response.on('error', error);
+    response.on('finish', close);
+    response.on('drain', () => this.emit('drain'));
+  }
+
+  formatEvent(fields) {
+    return formatEvent(fields);
+  }
+
+  write(message) {
+    return this.response.write(message);
+  }
+
+  heartbeat() {
+    return this.write(formatComment(`heartbeat ${new Date().toISOString()}`));
+  }
+
+  end() {
+    this.response.end();
+  }
+}
+
+class WebSocketTransport extends EventEmitter {
+  constructor(ws) {
+    super();
+    this.type = 'websocket';
+    this.ws = ws;
+    this.needsDrain = false;
+    this.pongReceived = true;
+
+    ws.on('close', () => this.emit('close'));
+    ws.on('error', (err) => this.emit('error', err));
+    ws.on('pong', () => {
+      this.pongReceived = true;
+    });
+    ws.on('message', (data, isBinary) => {
+      if (!isBinary) {
+        this.emit('message', data.toString());
+      }
+    });
+  }
+
+  formatEvent({ event, id, retry, data }) {
+    return JSON.stringify({ event, id, retry, data });
+  }
+
+  /**
+   * WebSocket has no 'drain' event - the send callback fires once a frame
+   * reaches the socket, which is when the buffered amount can drop again
+   */
+  write(message) {
+    this.ws.send(message, (err) => {
+      if (err) {
+        return; // 'close' or 'error' follows
+      }
+      if (this.needsDrain && this.ws.bufferedAmount <= WS_HIGH_WATER_MARK) {
+        this.needsDrain = false;
+        this.emit('drain');
+      }
+    });
+
+    if (this.ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+      this.needsDrain = true;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * A ping left unanswered for a whole heartbeat interval means the peer is gone
+   */
+  heartbeat() {
+    if (!this.pongReceived) {
+      throw new Error('No pong since the last ping');
+    }
+
+    this.pongReceived = false;
+    this.ws.ping();
+    return true;
+  }
+
+  end(reason) {
+    this.ws.close(WS_CLOSE_CODES[reason] || 1000, reason);
+  }
+}
+
+/**
+ * Opaque poll cursor: [session key, last sequence number, last eventId]
+ * The eventId lets another pod resume from event history
+ */
+function encodeCursor(key, seq, eventId) {
+  return Buffer.from(JSON.stringify([key, seq, eventId || null])).toString('base64url');
+}
+
+/**
+ * Returns { key, seq, eventId } or null for no cursor; throws on a malformed one
+ */
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return null;
+  }
+
+  const [key, seq, eventId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (typeof key !== 'string' || !Number.isInteger(seq) || seq < 0 || (eventId !== null && typeof eventId !== 'string')) {
+    throw new Error('Malformed cursor');
+  }
+  return { key, seq, eventId };
+}
+
+/**
+ * Long polling: written events stay pending until a later poll confirms them
+ * with its cursor, so a batch lost on the way is simply returned again.
+ * One request is parked at a time; the session closes after idleMs without one.
+ * maxBatch - events per response, and the pending count at which write() asks to wait
+ */
+class PollTransport extends EventEmitter {
+  constructor({ maxBatch = 100, idleMs = 60000 } = {}) {
+    super();
+    this.type = 'poll';
+    // Cursors from another session (or pod) never confirm this one's events
+    this.key = crypto.randomBytes(4).toString('hex');
+    this.maxBatch = maxBatch;
+    this.idleMs = idleMs;
+    this.seq = 0;
+    this.pending = [];
+    this.needsDrain = false;
+    this.waiting = null;
+    this.flushScheduled = false;
+    this.idleTimer = null;
+    this.closedReason = null;
+
+    this.startIdleTimer();
+  }
+
+  formatEvent({ event, id, retry, data }) {
+    return JSON.stringify({ event, id, retry, data });
+  }
+
+  write(message) {
+    this.seq++;
+    this.pending.push({ seq: this.seq, message });
+
+    // Let a burst of events go out in one response
+    if (this.waiting && !this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => {
+        this.flushScheduled = false;
+        if (this.waiting) {
+          this.respond();
+        }
+      });
+    }
+
+    if (this.pending.length >= this.maxBatch) {
+      this.needsDrain = true;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Nothing to send - a parked request is answered within its own timeout
+   */
+  heartbeat() {
+    return true;
+  }
+
+  /**
+   * Park a poll request until events arrive or timeoutMs passes
+   * cursor - decoded cursor of the previous batch; confirms what it covers
+   * meta - fields added to every response (clientName, sessionId, ...)
+   */
+  poll(res, { cursor, timeoutMs, meta }) {
+    if (cursor && cursor.key === this.key) {
+      this.confirm(cursor.seq);
+    }
+
+    if (this.waiting) {
+      // A newer poll replaces one still parked (e.g. the client gave up on it)
+      this.respond();
+    }
+
+    this.stopIdleTimer();
+    const timer = setTimeout(() => this.respond(), timeoutMs);
+    this.waiting = { res, timer, meta, cursor };
+
+    res.on('close', () => {
+      if (this.waiting && this.waiting.res === res) {
+        clearTimeout(this.waiting.timer);
+        this.waiting = null;
+        this.startIdleTimer();
+      }
+    });
+
+    if (this.pending.length > 0 || this.closedReason) {
+      this.respond();
+    }
+  }
+
+  confirm(seq) {
+    while (this.pending.length > 0 && this.pending[0].seq <= seq) {
+      this.pending.shift();
+    }
+
+    if (this.needsDrain && this.pending.length < this.maxBatch) {
+      this.needsDrain = false;
+      this.emit('drain');
+    }
+  }
+
+  /**
+   * Answer the parked request with the oldest unconfirmed events (possibly none)
+   */
+  respond() {
+    const { res, timer, meta, cursor } = this.waiting;
+    clearTimeout(timer);
+    this.waiting = null;
+
+    const events = this.pending.slice(0, this.maxBatch).map((item) => JSON.parse(item.message));
+    const last = this.pending[events.length - 1];
+    const withId = events.filter((event) => event.id).pop();
+    const lastEventId = withId ? withId.id : (cursor && cursor.eventId);
+
+    res.json({
+      success: true,
+      ...meta,
+      events,
+      cursor: encodeCursor(this.key, last ? last.seq : (cursor && cursor.key === this.key ? cursor.seq : 0), lastEventId),
+      closed: this.closedReason || undefined,
+      timestamp: new Date().toISOString()
+    });
+
+    if (!this.closedReason) {
+      this.startIdleTimer();
+    }
+  }
+
+  startIdleTimer() {
+    this.stopIdleTimer();
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.emit('close', 'poll_idle');
+    }, this.idleMs);
+  }
+
+  stopIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  /**
+   * A parked request gets whatever is left, with closed set to the reason
+   */
+  end(reason) {
+    this.closedReason = reason || 'closed';
+    this.stopIdleTimer();
+    if (this.waiting) {
+      this.respond();
+    }
+  }
+}
+
+module.exports = { SseTransport, WebSocketTransport, PollTransport, encodeCursor, decodeCursor, WS_CLOSE_CODES };
@@ -0,0 +1,234 @@
+/**
+ * WebSocket Gateway
+ * Optional /ws/:clientName endpoint for clients whose proxies break long-lived
+ * event streams. Connections are registered next to SSE ones and receive the
+ * same routed events; the socket also carries the client's upstream traffic:
+ *   { op: 'ack', eventId | eventIds }
+ *   { op: 'message', type, eventId?, data }   - same body as POST /events/:clientName/messages
+ *   { op: 'filters', actions?, minSeverity? } - same body as PUT /events/:clientName/filters
+ * Each gets a 'result' event back ({ op, requestId, success, ... }); requestId is echoed.
+ */
+
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+const { WebSocketServer } = require('ws');
+const connectionRegistry = require('./connection-registry');
+const { WebSocketTransport } = require('./transports');
+const { verifyToken, extractToken, TokenError } = require('./auth-tokens');
+const { parseFilters } = require('./event-filters');
+const { validateReply } = require('./reply-publisher');
+const { createLogger } = require('./logger');
+
+const log = createLogger('WS');
+const PATH_PATTERN = /^\/ws\/([^/]+)\/?$/;
+const MAX_FRAME_BYTES = 64 * 1024;
+
+/**
+ * Answer an upgrade request with a plain HTTP error and drop the socket
+ */
+function rejectUpgrade(socket, status, body, headers = {}) {
+  const payload = JSON.stringify({ ...body, success: false });
+  const lines = [
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(payload)}`,
+    'Connection: close',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+  ];
+  socket.end(`${lines.join('\r\n')}\r\n\r\n${payload}`);
+}
+
+/**
+ * tokenSecret - registration token secret (same tokens as the SSE endpoint)
+ * eventHistory, ackTracker, replyPublisher - shared with the HTTP routes
+ * isDraining - () => boolean; draining pods refuse new sockets
+ * retryMs - reconnection hint sent with the connected event
+ */
+function createWebSocketGateway({ tokenSecret, podName, eventHistory, ackTracker, replyPublisher, isDraining, retryMs }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_FRAME_BYTES });
+
+  /**
+   * http.Server 'upgrade' listener - nothing awaits it, so a failure drops the socket here
+   */
+  function handleUpgrade(req, socket, head) {
+    upgrade(req, socket, head).catch((err) => {
+      log.error('Upgrade failed', { url: req.url, error: err.message });
+      socket.destroy();
+    });
+  }
+
+  /**
+   * Authenticates like GET /events/:clientName before completing the handshake
+   */
+  async function upgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(PATH_PATTERN);
+    if (!match) {
+      return rejectUpgrade(socket, 404, { error: 'Not found' });
+    }
+
+    let clientName;
+    try {
+      clientName = decodeURIComponent(match[1]);
+    } catch (err) {
+      return rejectUpgrade(socket, 400, { error: 'Malformed client name' });
+    }
+    const lastEventId = url.searchParams.get('lastEventId');
+    const { filters, errors: filterErrors } = parseFilters(Object.fromEntries(url.searchParams));
+
+    log.info('New WebSocket connection request', { clientName, lastEventId, filters });
+
+    if (isDraining()) {
+      return rejectUpgrade(socket, 503, { error: 'Pod is draining', podName }, { 'Retry-After': '1' });
+    }
+
+    let claims;
+    try {
+      claims = verifyToken(extractToken(req), tokenSecret);
+    } catch (err) {
+      if (!(err instanceof TokenError)) {
+        log.error('Token check failed', { clientName, error: err.message });
+        return rejectUpgrade(socket, 500, { error: 'Internal server error' });
+      }
+      log.warn('Rejected token', { clientName, code: err.code });
+      return rejectUpgrade(socket, 401, { error: err.message, code: err.code });
+    }
+
+    if (claims.sub !== clientName) {
+      log.warn('Token presented for another client', { clientName, subject: claims.sub });
+      return rejectUpgrade(socket, 403, { error: 'Token was not issued for this client' });
+    }
+
+    if (filterErrors.length > 0) {
+      return rejectUpgrade(socket, 400, { error: 'Invalid filters', details: filterErrors });
+    }
+
+    try {
+      if (!(await connectionRegistry.admit(clientName))) {
+        log.warn('Rejected connection: client already has an open stream', { clientName });
+        return rejectUpgrade(socket, 409, { error: 'Client already has an open stream', clientName, podName });
+      }
+    } catch (err) {
+      log.error('Admission check failed', { clientName, error: err.message });
+      return rejectUpgrade(socket, 500, { error: 'Internal server error' });
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => open(ws, { clientName, claims, filters, lastEventId }));
+  }
+
+  function open(ws, { clientName, claims, filters, lastEventId }) {
+    const transport = new WebSocketTransport(ws);
+    // Upstream frames on this socket are the session - the id is only for the HTTP routes
+    const sessionId = crypto.randomUUID();
+
+    transport.write(transport.formatEvent({
+      event: 'connected',
+      retry: retryMs,
+      data: {
+        type: 'connected',
+        clientName,
+        podName,
+        sessionId,
+        filters,
+        transport: transport.type,
+        timestamp: new Date().toISOString(),
+        message: 'WebSocket connection established'
+      }
+    }));
+
+    const connection = connectionRegistry.register(clientName, transport, podName, {
+      sessionId,
+      tokenExpiresAt: claims.exp * 1000,
+      groups: claims.groups,
+      filters
+    });
+
+    transport.on('message', (data) => {
+      handleFrame(connection, data).catch((err) => {
+        log.error('Failed to handle upstream frame', { clientName, error: err.message });
+        reply(connection, { success: false, error: 'Internal server error' });
+      });
+    });
+
+    if (lastEventId) {
+      connection.beginReplay();
+      eventHistory.replay(clientName, lastEventId)
+        .then((events) => connection.finishReplay(events))
+        .catch((err) => {
+          log.error('Replay failed', { clientName, lastEventId, error: err.message });
+          connection.finishReplay([]);
+        });
+    }
+  }
+
+  function reply(connection, result) {
+    if (!connection.isAlive) {
+      return;
+    }
+
+    const { transport } = connection;
+    transport.write(transport.formatEvent({
+      event: 'result',
+      data: { ...result, timestamp: new Date().toISOString() }
+    }));
+  }
+
+  async function handleFrame(connection, data) {
+    const { clientName } = connection;
+    connection.updateActivity();
+
+    let frame;
+    try {
+      frame = JSON.parse(data);
+    } catch (err) {
+      return reply(connection, { success: false, error: 'Frame must be JSON' });
+    }
+
+    if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+      return reply(connection, { success: false, error: 'Frame must be a JSON object' });
+    }
+
+    const { op, requestId, ...body } = frame;
+    const respond = (result) => reply(connection, { op, requestId, ...result });
+
+    if (op === 'ack') {
+      const ids = Array.isArray(body.eventIds) ? body.eventIds : (body.eventId ? [body.eventId] : []);
+      if (ids.length === 0 || !ids.every((id) => typeof id === 'string' && id.length > 0)) {
+        return respond({ success: false, error: 'eventId or a non-empty eventIds array of strings is required' });
+      }
+
+      const { acknowledged, unknown } = await ackTracker.acknowledge(clientName, ids);
+      return respond({ success: true, acknowledged, unknown });
+    }
+
+    if (op === 'message') {
+      const errors = validateReply(body);
+      if (errors.length > 0) {
+        return respond({ success: false, error: 'Invalid message', details: errors });
+      }
+
+      const { message, subscribers } = await replyPublisher.publish(clientName, body);
+      return respond({ success: true, messageId: message.messageId, eventId: message.eventId, subscribers });
+    }
+
+    if (op === 'filters') {
+      const { filters, errors } = parseFilters(body);
+      if (errors.length > 0) {
+        return respond({ success: false, error: 'Invalid filters', details: errors });
+      }
+
+      connection.setFilters(filters);
+      return respond({ success: true, filters });
+    }
+
+    return respond({ success: false, error: 'op must be one of ack, message, filters' });
+  }
+
+  function close() {
+    wss.close();
+  }
+
+  return { handleUpgrade, close };
+}
+
+module.exports = { createWebSocketGateway };